@@ -1,30 +1,244 @@
-exports.handler = async (event) => {
-    const token = event.headers.Authorization || event.headers.authorization;
-    if(token !== "Bearer mysecrettoken"){
-        return generatePolicy('user', 'Deny', event.routeArn, {
-            'poweredBy': 'Artisthub',
-            'reason': 'Invalid token'
-        }) ;
+import AWS from 'aws-sdk';
+import { createHash, createPublicKey, verify } from 'crypto';
+import { readFile } from 'fs/promises';
+
+const documentClient = new AWS.DynamoDB.DocumentClient({
+  region: process.env.REGION || 'ap-south-1',
+  maxRetries: 3,
+  httpOptions: {
+    timeout: 5000
+  }
+});
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const API_KEYS_TABLE = process.env.API_KEYS_TABLE;
+const USER_POOL_CLIENT_ID = process.env.USER_POOL_CLIENT_ID;
+const ISSUER = `https://cognito-idp.${process.env.REGION || 'ap-south-1'}.amazonaws.com/${process.env.USER_POOL_ID}`;
+
+// Set JWKS_FILE to a local JSON file to verify tokens without calling Cognito (tests)
+const JWKS_FILE = process.env.JWKS_FILE;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+// Roles that must have MFA enabled, and the routes open to them until they do
+const MFA_REQUIRED_ROLES = ['recruiter'];
+const MFA_SETUP_ROUTES = [
+  'POST /auth/mfa/totp/setup',
+  'POST /auth/mfa/totp/verify',
+  'PUT /auth/mfa/preference',
+  'POST /auth/logout-all'
+];
+
+// Cached across invocations of a warm container
+let jwksCache = { keys: {}, fetchedAt: 0 };
+
+/**
+ * Load the user pool's signing keys, keyed by kid
+ */
+const loadJwks = async () => {
+  const jwks = JWKS_FILE
+    ? JSON.parse(await readFile(JWKS_FILE, 'utf8'))
+    : await fetch(`${ISSUER}/.well-known/jwks.json`).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch JWKS: ${response.status}`);
+      }
+      return response.json();
+    });
+
+  jwksCache = {
+    keys: Object.fromEntries(jwks.keys.map(jwk => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })])),
+    fetchedAt: Date.now()
+  };
+};
+
+/**
+ * Get the public key for a kid, refreshing the cache when it is stale or the
+ * kid is unknown (Cognito rotated its keys)
+ */
+const getSigningKey = async (kid) => {
+  const age = Date.now() - jwksCache.fetchedAt;
+
+  if (age > JWKS_TTL_MS || (!jwksCache.keys[kid] && age > JWKS_MIN_REFRESH_MS)) {
+    await loadJwks();
+  }
+
+  return jwksCache.keys[kid] || null;
+};
+
+/**
+ * Decode a base64url JSON segment of a JWT
+ */
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString());
+
+/**
+ * Verify a Cognito id or access token
+ * Returns the token claims, or null if the token is not valid
+ */
+const verifyJwt = async (token) => {
+  const [encodedHeader, encodedPayload, signature] = token.split('.');
+
+  if (!encodedHeader || !encodedPayload || !signature) {
+    return null;
+  }
+
+  const header = decodeSegment(encodedHeader);
+
+  if (header.alg !== 'RS256' || !header.kid) {
+    return null;
+  }
+
+  const key = await getSigningKey(header.kid);
+
+  if (!key) {
+    return null;
+  }
+
+  const validSignature = verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key,
+    Buffer.from(signature, 'base64url')
+  );
+
+  if (!validSignature) {
+    return null;
+  }
+
+  const claims = decodeSegment(encodedPayload);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.iss !== ISSUER || !claims.exp || claims.exp <= now) {
+    return null;
+  }
+
+  // id tokens carry the client in `aud`, access tokens in `client_id`
+  const audience = claims.token_use === 'id' ? claims.aud : claims.token_use === 'access' ? claims.client_id : null;
+
+  if (audience !== USER_POOL_CLIENT_ID) {
+    return null;
+  }
+
+  return claims;
+};
+
+/**
+ * Build the authorizer context for a verified Cognito token
+ * `mfaRequired` is set when the caller's role needs MFA and the profile does
+ * not have it enabled (`mfaEnabled` is kept in sync by the auth handlers)
+ */
+const contextFromJwt = async (claims) => {
+  const profile = await documentClient.get({
+    TableName: USERS_TABLE,
+    Key: { userId: claims.sub },
+    ProjectionExpression: 'currentPlan, mfaEnabled'
+  }).promise();
+
+  const groups = claims['cognito:groups'] || [];
+
+  return {
+    authType: 'jwt',
+    userId: claims.sub,
+    roles: groups.join(','),
+    plan: profile.Item?.currentPlan || 'free',
+    mfaRequired: groups.some(group => MFA_REQUIRED_ROLES.includes(group)) && profile.Item?.mfaEnabled !== true
+  };
+};
+
+/**
+ * Look up a partner API key by its SHA-256 hash
+ * Returns the authorizer context, or null if the key is unknown or inactive
+ */
+const contextFromApiKey = async (apiKey) => {
+  const keyHash = createHash('sha256').update(apiKey).digest('hex');
+
+  const result = await documentClient.get({
+    TableName: API_KEYS_TABLE,
+    Key: { keyHash }
+  }).promise();
+
+  const record = result.Item;
+
+  if (!record || record.status !== 'active') {
+    return null;
+  }
+
+  if (record.expiresAt && new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return {
+    authType: 'apiKey',
+    userId: record.partnerId,
+    roles: (record.roles || ['partner']).join(','),
+    plan: record.plan || 'free'
+  };
+};
+
+/**
+ * Lambda authorizer for the HTTP API
+ * Accepts either `Authorization: Bearer {cognito id/access token}` or `x-api-key: {partner key}`
+ * Context: { authType, userId, roles (comma-separated), plan }
+ * Note: Recruiters without MFA are denied everywhere except the MFA setup routes
+ */
+export const handler = async (event) => {
+  const headers = event.headers || {};
+  const authorization = headers.authorization || headers.Authorization;
+  const apiKey = headers['x-api-key'];
+
+  try {
+    let context = null;
+
+    if (authorization) {
+      const claims = await verifyJwt(authorization.replace(/^Bearer\s+/i, '').trim());
+      const { mfaRequired, ...jwtContext } = claims ? await contextFromJwt(claims) : {};
+
+      if (mfaRequired && !MFA_SETUP_ROUTES.includes(event.routeKey)) {
+        return generatePolicy(jwtContext.userId, 'Deny', event.routeArn, {
+          'poweredBy': 'Artisthub',
+          'reason': 'MFA required'
+        });
+      }
+
+      context = claims ? jwtContext : null;
+    } else if (apiKey) {
+      context = await contextFromApiKey(apiKey);
+    }
+
+    if (!context) {
+      return generatePolicy('anonymous', 'Deny', event.routeArn, {
+        'poweredBy': 'Artisthub',
+        'reason': 'Invalid token'
+      });
     }
-    return generatePolicy('user', 'Allow', event.routeArn, {
-        'poweredBy': 'Artisthub'
-    }) ;
-}
+
+    return generatePolicy(context.userId, 'Allow', event.routeArn, {
+      'poweredBy': 'Artisthub',
+      ...context
+    });
+  } catch (error) {
+    console.error('TokenAuthorizer error:', error);
+
+    return generatePolicy('anonymous', 'Deny', event.routeArn, {
+      'poweredBy': 'Artisthub',
+      'reason': 'Authorization failed'
+    });
+  }
+};
 
 const generatePolicy = (principalId, effect, resource, context) => {
-    const authResponse = {
-        principalId,
-        policyDocument: {
-            Version: '2012-10-17',
-            Statement: [
-                {
-                    Action: 'execute-api:Invoke',
-                    Effect: effect,
-                    Resource: resource,
-                },
-            ],
+  const authResponse = {
+    principalId,
+    policyDocument: {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Action: 'execute-api:Invoke',
+          Effect: effect,
+          Resource: resource,
         },
-        context,
-    };
-    return authResponse;
-}
\ No newline at end of file
+      ],
+    },
+    context,
+  };
+  return authResponse;
+};
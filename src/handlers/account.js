@@ -0,0 +1,548 @@
+import AWS from 'aws-sdk';
+import { v4 as uuidv4 } from 'uuid';
+import { getCaller } from '../utils/auth.js';
+import { clearFailures, SCOPES } from '../utils/loginAttempts.js';
+import { deleteUserMedia } from '../utils/media.js';
+import { deleteSession, listUserSessions } from '../utils/sessions.js';
+import { writeAuditLog } from '../utils/audit.js';
+import { lockedProfileUpdate } from '../utils/profiles.js';
+import { releaseUsernameItem } from '../utils/usernames.js';
+
+const documentClient = new AWS.DynamoDB.DocumentClient({
+  region: process.env.REGION || 'ap-south-1',
+  maxRetries: 3,
+  httpOptions: {
+    timeout: 5000
+  }
+});
+
+const cognito = new AWS.CognitoIdentityServiceProvider({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const CASTING_TABLE = process.env.CASTING_TABLE;
+const CONVERSATIONS_TABLE = process.env.CONVERSATIONS_TABLE;
+const VERIFICATION_REQUESTS_TABLE = process.env.VERIFICATION_REQUESTS_TABLE;
+const PROFILE_VIEWS_TABLE = process.env.PROFILE_VIEWS_TABLE;
+const PLAN_USAGE_TABLE = process.env.PLAN_USAGE_TABLE;
+
+// Placeholder left in other records in place of a deleted user's id
+const DELETED_USER_ID = 'deleted-user';
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Whether a connection or request entry refers to the user.
+ * Entries are either plain user ids or objects with sender/receiver ids.
+ */
+const refersTo = (entry, userId) => (
+  entry === userId ||
+  entry?.userId === userId ||
+  entry?.senderId === userId ||
+  entry?.receiverId === userId
+);
+
+const LIST_FIELDS = ['connections', 'requestSent', 'requestReceived', 'blockedUsers', 'blockedBy'];
+
+// Attempts at a write that lost a race with another request
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Everyone the user's connection, request and block lists point at. Each
+ * relationship is recorded on both sides, so these are the only profiles
+ * that can refer to the user.
+ */
+const relatedUserIds = (profile) => {
+  const ids = new Set();
+
+  for (const field of LIST_FIELDS) {
+    for (const entry of profile[field] || []) {
+      const candidates = typeof entry === 'string'
+        ? [entry]
+        : [entry?.userId, entry?.senderId, entry?.receiverId];
+      candidates.filter(Boolean).forEach(id => ids.add(id));
+    }
+  }
+
+  ids.delete(profile.userId);
+  return [...ids];
+};
+
+/**
+ * Check that a user exists and belongs to the recruiter group
+ */
+const isRecruiter = async (userId) => {
+  try {
+    const result = await cognito.adminListGroupsForUser({
+      UserPoolId: process.env.USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    return result.Groups.some(group => group.GroupName === 'recruiter');
+  } catch (error) {
+    if (error.code === 'UserNotFoundException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Close the user's posted jobs, or hand them to another recruiter. Jobs are
+ * found through the CastingTable recruiterIndex, and each write only applies
+ * while the user still owns the job.
+ */
+const handOffJobs = async (userId, transferTo, now) => {
+  const jobIds = [];
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: CASTING_TABLE,
+      IndexName: 'recruiterIndex',
+      KeyConditionExpression: '#userId = :userId',
+      ExpressionAttributeNames: { '#userId': 'userId' },
+      ExpressionAttributeValues: { ':userId': userId },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    jobIds.push(...result.Items.map(item => item.jobId));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  for (const jobId of jobIds) {
+    try {
+      await documentClient.update({
+        TableName: CASTING_TABLE,
+        Key: { jobId },
+        UpdateExpression: transferTo
+          ? 'SET #userId = :transferTo, #updatedAt = :now'
+          : 'SET #isExpired = :true, #closedAt = :now, #updatedAt = :now',
+        ConditionExpression: '#userId = :userId',
+        ExpressionAttributeNames: transferTo
+          ? { '#userId': 'userId', '#updatedAt': 'updatedAt' }
+          : { '#userId': 'userId', '#isExpired': 'isExpired', '#closedAt': 'closedAt', '#updatedAt': 'updatedAt' },
+        ExpressionAttributeValues: transferTo
+          ? { ':transferTo': transferTo, ':userId': userId, ':now': now }
+          : { ':true': true, ':userId': userId, ':now': now }
+      }).promise();
+    } catch (error) {
+      // Deleted or handed over since the query
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+
+  return jobIds;
+};
+
+/**
+ * Anonymise one application in place. The entry is addressed by its list
+ * index, and the write only applies while that index still holds it; a
+ * concurrent change to the list means reading the job again.
+ * Returns false when the job or application no longer exists.
+ */
+const anonymiseApplication = async (userId, { jobId, appId }, now) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const job = await documentClient.get({
+      TableName: CASTING_TABLE,
+      Key: { jobId },
+      ProjectionExpression: 'appliedBy',
+      ConsistentRead: true
+    }).promise();
+
+    const appliedBy = job.Item?.appliedBy || [];
+    const index = appliedBy.findIndex(app => app.appId === appId && app.userId === userId);
+
+    if (index === -1) {
+      return false;
+    }
+
+    const { status } = appliedBy[index];
+
+    try {
+      await documentClient.update({
+        TableName: CASTING_TABLE,
+        Key: { jobId },
+        UpdateExpression: `SET #appliedBy[${index}] = :anonymised, #updatedAt = :now`,
+        ConditionExpression: `#appliedBy[${index}].appId = :appId AND #appliedBy[${index}].userId = :userId`,
+        ExpressionAttributeNames: {
+          '#appliedBy': 'appliedBy',
+          '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+          ':anonymised': { appId, userId: DELETED_USER_ID, avatarUrl: '', ...(status && { status }) },
+          ':appId': appId,
+          ':userId': userId,
+          ':now': now
+        }
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException' || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Anonymise the user's applications on other jobs, found through the
+ * profile's appliedJobs. The application stays so recruiters' counts and
+ * shortlists remain consistent, but no longer identifies the person.
+ */
+const anonymiseApplications = async (profile, now) => {
+  const jobIds = [];
+
+  for (const application of profile.appliedJobs || []) {
+    if (await anonymiseApplication(profile.userId, application, now)) {
+      jobIds.push(application.jobId);
+    }
+  }
+
+  return jobIds;
+};
+
+/**
+ * Remove the user from one other user's lists with a locked write (see
+ * src/utils/profiles.js), re-reading on conflict. Returns the number of
+ * connections and requests removed.
+ */
+const removeFromUser = async (otherId, userId, now) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const result = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId: otherId },
+      ProjectionExpression: `userId, updatedAt, ${LIST_FIELDS.join(', ')}`,
+      ConsistentRead: true
+    }).promise();
+
+    const user = result.Item;
+    if (!user) {
+      return 0;
+    }
+
+    const lists = {};
+    let removed = 0;
+
+    for (const field of LIST_FIELDS) {
+      const entries = user[field] || [];
+      const kept = entries.filter(entry => !refersTo(entry, userId));
+
+      if (kept.length !== entries.length) {
+        lists[field] = kept;
+        if (!field.startsWith('blocked')) {
+          removed += entries.length - kept.length;
+        }
+      }
+    }
+
+    if (Object.keys(lists).length === 0) {
+      return 0;
+    }
+
+    try {
+      await documentClient.update(lockedProfileUpdate(user, lists, now)).promise();
+      return removed;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException' || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Remove the user from other users' connections, pending requests and block lists
+ */
+const removeConnections = async (profile, now) => {
+  let removed = 0;
+
+  for (const otherId of relatedUserIds(profile)) {
+    removed += await removeFromUser(otherId, profile.userId, now);
+  }
+
+  return removed;
+};
+
+/**
+ * Delete the user's inbox. Messages stay in the other users' chat history.
+ */
+const removeConversations = async (userId) => {
+  let removed = 0;
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: CONVERSATIONS_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ProjectionExpression: 'userId, chatId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    for (const { chatId } of result.Items) {
+      await documentClient.delete({
+        TableName: CONVERSATIONS_TABLE,
+        Key: { userId, chatId }
+      }).promise();
+    }
+
+    removed += result.Items.length;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return removed;
+};
+
+/**
+ * Delete the user's work experience verification requests, including their evidence
+ */
+const removeVerificationRequests = async (userId) => {
+  let removed = 0;
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: VERIFICATION_REQUESTS_TABLE,
+      IndexName: 'userIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ProjectionExpression: 'requestId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    for (const { requestId } of result.Items) {
+      await documentClient.delete({
+        TableName: VERIFICATION_REQUESTS_TABLE,
+        Key: { requestId }
+      }).promise();
+    }
+
+    removed += result.Items.length;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return removed;
+};
+
+/**
+ * Delete the user's profile view analytics, and the record of every profile
+ * they viewed. Returns the number of items removed.
+ */
+const removeProfileViews = async (userId) => {
+  let removed = 0;
+
+  for (const query of [
+    { KeyConditionExpression: 'profileId = :userId' },
+    { IndexName: 'viewerIndex', KeyConditionExpression: 'viewerId = :userId' }
+  ]) {
+    let lastKey;
+
+    do {
+      const result = await documentClient.query({
+        TableName: PROFILE_VIEWS_TABLE,
+        ...query,
+        ProjectionExpression: 'profileId, viewKey',
+        ExpressionAttributeValues: { ':userId': userId },
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }).promise();
+
+      for (const { profileId, viewKey } of result.Items) {
+        await documentClient.delete({
+          TableName: PROFILE_VIEWS_TABLE,
+          Key: { profileId, viewKey }
+        }).promise();
+      }
+
+      removed += result.Items.length;
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+  }
+
+  return removed;
+};
+
+/**
+ * Delete the user's monthly plan usage counters. Returns the number removed.
+ */
+const removePlanUsage = async (userId) => {
+  let removed = 0;
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: PLAN_USAGE_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ProjectionExpression: 'userId, period',
+      ExpressionAttributeValues: { ':userId': userId },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    for (const { period } of result.Items) {
+      await documentClient.delete({
+        TableName: PLAN_USAGE_TABLE,
+        Key: { userId, period }
+      }).promise();
+    }
+
+    removed += result.Items.length;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return removed;
+};
+
+/**
+ * Delete the caller's account
+ * DELETE /me
+ * Body: { transferJobsTo } (optional recruiter userId - posted jobs are closed otherwise)
+ * Note: Deletes the Cognito user and profile, anonymises applications and
+ * removes connections. Returns a receipt for data-protection requests, which
+ * is also stored in the audit trail.
+ */
+export const deleteAccount = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can delete their account');
+    }
+
+    const userId = caller.userId;
+    const body = JSON.parse(event.body || '{}');
+    const { transferJobsTo } = body;
+
+    if (transferJobsTo && transferJobsTo === userId) {
+      return errorResponse(400, 'Cannot transfer jobs to yourself');
+    }
+
+    if (transferJobsTo && !(await isRecruiter(transferJobsTo))) {
+      return errorResponse(400, 'transferJobsTo must be an existing recruiter');
+    }
+
+    const profile = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
+    }).promise();
+
+    // The provider would keep billing a deleted account
+    if (profile.Item?.paidPlan && profile.Item.subscription?.status === 'active') {
+      return errorResponse(409, 'Cancel your subscription before deleting your account', {
+        plan: profile.Item.paidPlan,
+        renewalDate: profile.Item.subscription.renewalDate
+      });
+    }
+
+    const now = new Date().toISOString();
+    // Applications and relationships are found through the profile's own
+    // lists; a retry after the profile is gone has nothing left to clean
+    const userProfile = profile.Item || { userId };
+
+    // Clean up references first and delete the identity last, so a failed
+    // run can be retried with the same token
+    const jobIds = await handOffJobs(userId, transferJobsTo, now);
+    const applicationJobIds = await anonymiseApplications(userProfile, now);
+    const connectionsRemoved = await removeConnections(userProfile, now);
+    const conversationsRemoved = await removeConversations(userId);
+    const verificationRequestsRemoved = await removeVerificationRequests(userId);
+    const profileViewsRemoved = await removeProfileViews(userId);
+    const planUsageRemoved = await removePlanUsage(userId);
+    const mediaRemoved = await deleteUserMedia(userId);
+
+    const sessions = await listUserSessions(userId);
+    for (const session of sessions) {
+      await deleteSession(session);
+    }
+
+    if (profile.Item) {
+      await documentClient.transactWrite({
+        TransactItems: [
+          { Delete: { TableName: USERS_TABLE, Key: { userId } } },
+          releaseUsernameItem(profile.Item.username, userId)
+        ]
+      }).promise();
+
+      const { email, contactDetails = {} } = profile.Item;
+      const identifiers = [email, contactDetails.phone].filter(Boolean);
+      for (const identifier of identifiers) {
+        await clearFailures(SCOPES, identifier);
+      }
+    }
+
+    let cognitoUserDeleted = true;
+    try {
+      await cognito.adminDeleteUser({
+        UserPoolId: process.env.USER_POOL_ID,
+        Username: userId
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'UserNotFoundException') {
+        throw error;
+      }
+      cognitoUserDeleted = false;
+    }
+
+    const receipt = {
+      receiptId: uuidv4(),
+      userId,
+      deletedAt: now,
+      cognitoUserDeleted,
+      profileDeleted: Boolean(profile.Item),
+      applicationsAnonymised: applicationJobIds.length,
+      connectionsRemoved,
+      sessionsRemoved: sessions.length,
+      conversationsRemoved,
+      verificationRequestsRemoved,
+      profileViewsRemoved,
+      planUsageRemoved,
+      mediaRemoved,
+      jobs: transferJobsTo
+        ? { action: 'transferred', transferredTo: transferJobsTo, jobIds }
+        : { action: 'closed', jobIds }
+    };
+
+    // Kept in the audit trail as the record of the deletion request
+    await writeAuditLog(event, 'account.delete', userId, { receipt });
+
+    return successResponse(200, {
+      success: true,
+      message: 'Account deleted successfully',
+      receipt
+    });
+  } catch (error) {
+    console.error('DeleteAccount error:', error);
+    return errorResponse(500, 'Failed to delete account', error.message);
+  }
+};
@@ -0,0 +1,442 @@
+import AWS from 'aws-sdk';
+import documentClient from '../utils/database.js';
+import { getCaller, hasRole } from '../utils/auth.js';
+import { getAuditLog, writeAuditLog } from '../utils/audit.js';
+import { deleteSession, listUserSessions } from '../utils/sessions.js';
+
+const cognito = new AWS.CognitoIdentityServiceProvider({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+// Audit trail key for listings, which touch many users at once
+const USER_LIST_AUDIT_TARGET = 'users';
+const MAX_BRAND_LENGTH = 200;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Flatten a Cognito user (ListUsers or AdminGetUser shape)
+ */
+const formatCognitoUser = (user) => ({
+  userId: user.Username,
+  status: user.UserStatus,
+  enabled: user.Enabled,
+  createdAt: user.UserCreateDate,
+  updatedAt: user.UserLastModifiedDate,
+  attributes: Object.fromEntries(
+    (user.Attributes || user.UserAttributes || []).map(({ Name, Value }) => [Name, Value])
+  )
+});
+
+/**
+ * Build the Cognito ListUsers filter. Cognito accepts a single filter, so the
+ * most selective one is sent and the rest are applied to the page afterwards.
+ */
+const buildCognitoFilter = ({ email, status, confirmed }) => {
+  if (email) {
+    return `email ^= "${email.replace(/"/g, '')}"`;
+  }
+
+  if (status) {
+    return `status = "${status === 'disabled' ? 'Disabled' : 'Enabled'}"`;
+  }
+
+  if (confirmed !== undefined) {
+    return `cognito:user_status = "${confirmed === 'true' ? 'CONFIRMED' : 'UNCONFIRMED'}"`;
+  }
+
+  return undefined;
+};
+
+/**
+ * List and filter Cognito users
+ * GET /admin/users?status=enabled|disabled&confirmed=true|false&email=prefix&createdAfter=ISO&createdBefore=ISO&limit=20&paginationToken=token
+ * Admin only
+ * Note: Filters other than the one sent to Cognito are applied per page, so a
+ * page can hold fewer than `limit` users while paginationToken is still set
+ */
+export const listUsers = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const query = event.queryStringParameters || {};
+    const { email, status, confirmed, createdAfter, createdBefore, paginationToken } = query;
+    const limit = Math.min(parseInt(query.limit, 10) || 20, 60);
+
+    if (status && !['enabled', 'disabled'].includes(status)) {
+      return errorResponse(400, 'Invalid status. Must be enabled or disabled');
+    }
+
+    if (confirmed !== undefined && !['true', 'false'].includes(confirmed)) {
+      return errorResponse(400, 'Invalid confirmed. Must be true or false');
+    }
+
+    const after = createdAfter ? new Date(createdAfter) : null;
+    const before = createdBefore ? new Date(createdBefore) : null;
+
+    if ((after && isNaN(after)) || (before && isNaN(before))) {
+      return errorResponse(400, 'Invalid createdAfter/createdBefore. Use an ISO 8601 date');
+    }
+
+    const filter = buildCognitoFilter({ email, status, confirmed });
+
+    const result = await cognito.listUsers({
+      UserPoolId: USER_POOL_ID,
+      Limit: limit,
+      ...(filter && { Filter: filter }),
+      ...(paginationToken && { PaginationToken: paginationToken })
+    }).promise();
+
+    const users = result.Users
+      .map(formatCognitoUser)
+      .filter(user => !status || user.enabled === (status === 'enabled'))
+      .filter(user => confirmed === undefined || (user.status === 'CONFIRMED') === (confirmed === 'true'))
+      .filter(user => !after || new Date(user.createdAt) >= after)
+      .filter(user => !before || new Date(user.createdAt) <= before);
+
+    await writeAuditLog(event, 'user.list', USER_LIST_AUDIT_TARGET, {
+      filters: { email, status, confirmed, createdAfter, createdBefore },
+      userIds: users.map(user => user.userId)
+    });
+
+    return successResponse(200, {
+      success: true,
+      users,
+      count: users.length,
+      paginationToken: result.PaginationToken || null
+    });
+  } catch (error) {
+    console.error('AdminListUsers error:', error);
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Failed to list users', error.message);
+  }
+};
+
+/**
+ * Get the merged record of a user - Cognito account, roles, profile and recent admin actions
+ * GET /admin/users/{userId}
+ * Admin only
+ */
+export const getUser = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { userId } = event.pathParameters;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    const cognitoUser = await cognito.adminGetUser({
+      UserPoolId: USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    const groups = await cognito.adminListGroupsForUser({
+      UserPoolId: USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    const profile = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId }
+    }).promise();
+
+    await writeAuditLog(event, 'user.view', userId);
+
+    const auditLog = await getAuditLog(userId);
+
+    return successResponse(200, {
+      success: true,
+      user: {
+        ...formatCognitoUser(cognitoUser),
+        mfa: {
+          preferred: cognitoUser.PreferredMfaSetting || null,
+          enabled: cognitoUser.UserMFASettingList || []
+        },
+        roles: groups.Groups.map(group => group.GroupName),
+        profile: profile.Item || null,
+        auditLog
+      }
+    });
+  } catch (error) {
+    console.error('AdminGetUser error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'User not found');
+    }
+
+    return errorResponse(500, 'Failed to get user', error.message);
+  }
+};
+
+/**
+ * Disable a user account
+ * POST /admin/users/{userId}/disable
+ * Body: { reason }
+ * Admin only
+ * Note: Also signs the user out of every device
+ */
+export const disableUser = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (!hasRole(caller, 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { reason = '' } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (userId === caller.userId) {
+      return errorResponse(400, 'You cannot disable your own account');
+    }
+
+    await cognito.adminDisableUser({
+      UserPoolId: USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    await cognito.adminUserGlobalSignOut({
+      UserPoolId: USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    for (const session of await listUserSessions(userId)) {
+      await deleteSession(session);
+    }
+
+    await writeAuditLog(event, 'user.disable', userId, { reason });
+
+    return successResponse(200, {
+      success: true,
+      message: 'User disabled successfully',
+      userId
+    });
+  } catch (error) {
+    console.error('AdminDisableUser error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'User not found');
+    }
+
+    return errorResponse(500, 'Failed to disable user', error.message);
+  }
+};
+
+/**
+ * Re-enable a disabled user account
+ * POST /admin/users/{userId}/enable
+ * Body: { reason }
+ * Admin only
+ */
+export const enableUser = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { reason = '' } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    await cognito.adminEnableUser({
+      UserPoolId: USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    await writeAuditLog(event, 'user.enable', userId, { reason });
+
+    return successResponse(200, {
+      success: true,
+      message: 'User enabled successfully',
+      userId
+    });
+  } catch (error) {
+    console.error('AdminEnableUser error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'User not found');
+    }
+
+    return errorResponse(500, 'Failed to enable user', error.message);
+  }
+};
+
+/**
+ * Force a password reset
+ * POST /admin/users/{userId}/reset-password
+ * Body: { reason }
+ * Admin only
+ * Note: The current password stops working and a reset code is sent to the
+ * user's verified email or phone; they finish via /auth/reset-password
+ */
+export const resetUserPassword = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { reason = '' } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    await cognito.adminResetUserPassword({
+      UserPoolId: USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    await writeAuditLog(event, 'user.reset-password', userId, { reason });
+
+    return successResponse(200, {
+      success: true,
+      message: 'Password reset. The user has been sent a code to set a new password.',
+      userId
+    });
+  } catch (error) {
+    console.error('AdminResetUserPassword error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'User not found');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'User has no verified email or phone number to send a reset code to');
+    }
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(400, 'Password cannot be reset for this user', error.message);
+    }
+
+    return errorResponse(500, 'Failed to reset password', error.message);
+  }
+};
+
+/**
+ * Set or clear the brand a recruiter is verified to act for
+ * PUT /admin/users/{userId}/brand
+ * Body: { brand, reason } - brand null to clear
+ * Admin only
+ * Note: A recruiter with a verified brand can decide work experience
+ * verification requests for that brand when an artist names them as brand
+ * contact. Not a client edit, so updatedAt is left alone (see src/utils/profiles.js).
+ */
+export const setUserBrand = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { reason = '' } = body;
+    const brand = typeof body.brand === 'string' ? body.brand.trim() : body.brand;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (brand !== null && (typeof brand !== 'string' || !brand || brand.length > MAX_BRAND_LENGTH)) {
+      return errorResponse(400, `brand must be a name of at most ${MAX_BRAND_LENGTH} characters, or null to clear it`);
+    }
+
+    if (brand) {
+      const groups = await cognito.adminListGroupsForUser({
+        UserPoolId: USER_POOL_ID,
+        Username: userId
+      }).promise();
+
+      if (!groups.Groups.some(group => group.GroupName === 'recruiter')) {
+        return errorResponse(400, 'Only a recruiter can be verified for a brand');
+      }
+    }
+
+    const verifiedBrand = brand
+      ? { name: brand, verifiedBy: getCaller(event).userId, verifiedAt: new Date().toISOString() }
+      : null;
+
+    try {
+      await documentClient.update({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression: verifiedBrand ? 'SET verifiedBrand = :verifiedBrand' : 'REMOVE verifiedBrand',
+        ConditionExpression: 'attribute_exists(userId)',
+        ...(verifiedBrand && { ExpressionAttributeValues: { ':verifiedBrand': verifiedBrand } })
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return errorResponse(404, 'User not found');
+      }
+      throw error;
+    }
+
+    await writeAuditLog(event, 'user.brand', userId, { brand, reason });
+
+    return successResponse(200, {
+      success: true,
+      message: verifiedBrand ? 'Brand verified' : 'Brand cleared',
+      userId,
+      verifiedBrand
+    });
+  } catch (error) {
+    console.error('AdminSetUserBrand error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'User not found');
+    }
+
+    return errorResponse(500, 'Failed to set brand', error.message);
+  }
+};
@@ -0,0 +1,379 @@
+import { createHash } from 'crypto';
+import documentClient, { cancellationReasons, decodeCursor, encodeCursor } from '../utils/database.js';
+import { canModifyProfile, getCaller, hasRole } from '../utils/auth.js';
+import { isBlockedBetween } from '../utils/blocks.js';
+import { getEntitlements, limitDetails } from '../utils/plans.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const PROFILE_VIEWS_TABLE = process.env.PROFILE_VIEWS_TABLE;
+
+const DAY_SECONDS = 24 * 60 * 60;
+const VIEWER_RETENTION_DAYS = 90;
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 90;
+const MAX_VIEWERS_LIMIT = 50;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const epochSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Who is viewing, as stored with the view.
+ * Signed-in users are identified by userId. Anyone else is a hash of their
+ * IP and user agent salted with the day, so a visitor is counted once a day
+ * but cannot be followed from one day to the next. Nothing the client sends
+ * goes into the hash, or a script could count itself as a new visitor on
+ * every request.
+ */
+const identifyViewer = (event, caller, day) => {
+  if (caller.authType === 'jwt' && caller.userId) {
+    return {
+      viewerKey: `user#${caller.userId}`,
+      viewerId: caller.userId,
+      viewerType: hasRole(caller, 'recruiter') ? 'recruiter' : 'user'
+    };
+  }
+
+  const source = `${event.requestContext?.http?.sourceIp}|${event.requestContext?.http?.userAgent}`;
+
+  return {
+    viewerKey: `anon#${createHash('sha256').update(`${day}|${source}`).digest('hex').slice(0, 32)}`,
+    viewerType: 'anonymous'
+  };
+};
+
+/**
+ * Record a profile view
+ * PUT /users/{userId}/view
+ * Note: Each viewer counts once per profile per UTC day. Signed-in viewers are
+ * recorded by userId for "who viewed my profile"; anyone else is counted but
+ * not identified. Owners viewing their own profile and blocked users are not counted.
+ */
+export const recordProfileView = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    const caller = getCaller(event);
+    const profile = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'userId, blockedUsers, blockedBy'
+    }).promise();
+
+    if (!profile.Item || isBlockedBetween(profile.Item, caller.userId)) {
+      return errorResponse(404, 'User not found');
+    }
+
+    if (caller.userId === userId) {
+      return successResponse(200, { success: true, counted: false });
+    }
+
+    const now = new Date();
+    const day = toDay(now);
+    const { viewerKey, viewerId, viewerType } = identifyViewer(event, caller, day);
+
+    // The marker makes the view count once; if it is already there the
+    // whole transaction is cancelled and nothing is counted. The profile
+    // update comes third, which tells a deleted profile apart.
+    const items = [
+      {
+        Put: {
+          TableName: PROFILE_VIEWS_TABLE,
+          Item: {
+            profileId: userId,
+            viewKey: `view#${day}#${viewerKey}`,
+            viewerType,
+            ...(viewerId && { viewerId }),
+            viewedAt: now.toISOString(),
+            // Only needed to deduplicate within the day
+            expiresAt: epochSeconds(now) + 2 * DAY_SECONDS
+          },
+          ConditionExpression: 'attribute_not_exists(viewKey)'
+        }
+      },
+      {
+        Update: {
+          TableName: PROFILE_VIEWS_TABLE,
+          Key: { profileId: userId, viewKey: `day#${day}` },
+          UpdateExpression: `SET #date = :day ADD #views :one, #${viewerType} :one`,
+          ExpressionAttributeNames: { '#date': 'date', '#views': 'views', [`#${viewerType}`]: viewerType },
+          ExpressionAttributeValues: { ':day': day, ':one': 1 }
+        }
+      },
+      {
+        // Not a client edit, so updatedAt is left alone (see src/utils/profiles.js)
+        Update: {
+          TableName: USERS_TABLE,
+          Key: { userId },
+          UpdateExpression: 'ADD #view :one',
+          ConditionExpression: 'attribute_exists(userId)',
+          ExpressionAttributeNames: { '#view': 'view' },
+          ExpressionAttributeValues: { ':one': 1 }
+        }
+      }
+    ];
+
+    if (viewerId) {
+      items.push({
+        Update: {
+          TableName: PROFILE_VIEWS_TABLE,
+          Key: { profileId: userId, viewKey: `viewer#${viewerId}` },
+          UpdateExpression: 'SET #viewerId = :viewerId, #viewerType = :viewerType, #lastViewedAt = :now, ' +
+            '#firstViewedAt = if_not_exists(#firstViewedAt, :now), #expiresAt = :expiresAt ADD #views :one',
+          ExpressionAttributeNames: {
+            '#viewerId': 'viewerId',
+            '#viewerType': 'viewerType',
+            '#lastViewedAt': 'lastViewedAt',
+            '#firstViewedAt': 'firstViewedAt',
+            '#expiresAt': 'expiresAt',
+            '#views': 'views'
+          },
+          ExpressionAttributeValues: {
+            ':viewerId': viewerId,
+            ':viewerType': viewerType,
+            ':now': now.toISOString(),
+            ':expiresAt': epochSeconds(now) + VIEWER_RETENTION_DAYS * DAY_SECONDS,
+            ':one': 1
+          }
+        }
+      });
+    }
+
+    try {
+      await documentClient.transactWrite({ TransactItems: items }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        const [markerReason, , profileReason] = cancellationReasons(error);
+
+        // Already counted today
+        if (markerReason === 'ConditionalCheckFailed') {
+          return successResponse(200, { success: true, counted: false });
+        }
+
+        // Deleted since it was read
+        if (profileReason === 'ConditionalCheckFailed') {
+          return errorResponse(404, 'User not found');
+        }
+      }
+      throw error;
+    }
+
+    return successResponse(200, { success: true, counted: true });
+  } catch (error) {
+    console.error('RecordProfileView error:', error);
+    return errorResponse(500, 'Failed to record profile view', error.message);
+  }
+};
+
+/**
+ * Daily profile view counts
+ * GET /users/{userId}/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Owner or admin only. Defaults to the last 30 days; at most 90 days per request.
+ * Every day in the range is returned, with zeros for days without views.
+ */
+export const getProfileAnalytics = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only view your own analytics');
+    }
+
+    const { from, to } = event.queryStringParameters || {};
+    const today = toDay(new Date());
+    const end = to || today;
+    const start = from || toDay(new Date(Date.parse(end) - (DEFAULT_ANALYTICS_DAYS - 1) * DAY_SECONDS * 1000));
+
+    const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    if (!isDay(start) || !isDay(end)) {
+      return errorResponse(400, 'from and to must be dates in YYYY-MM-DD format');
+    }
+
+    const days = (Date.parse(end) - Date.parse(start)) / (DAY_SECONDS * 1000) + 1;
+    if (days < 1 || days > MAX_ANALYTICS_DAYS) {
+      return errorResponse(400, `from must not be after to, and the range can be at most ${MAX_ANALYTICS_DAYS} days`);
+    }
+
+    const profile = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'userId, #view',
+      ExpressionAttributeNames: { '#view': 'view' }
+    }).promise();
+
+    if (!profile.Item) {
+      return errorResponse(404, 'User not found');
+    }
+
+    const result = await documentClient.query({
+      TableName: PROFILE_VIEWS_TABLE,
+      KeyConditionExpression: 'profileId = :userId AND viewKey BETWEEN :start AND :end',
+      ExpressionAttributeValues: { ':userId': userId, ':start': `day#${start}`, ':end': `day#${end}` }
+    }).promise();
+
+    const byDay = Object.fromEntries(result.Items.map(item => [item.date, item]));
+    const series = Array.from({ length: days }, (_, i) => {
+      const date = toDay(new Date(Date.parse(start) + i * DAY_SECONDS * 1000));
+      const stats = byDay[date] || {};
+
+      return {
+        date,
+        views: stats.views || 0,
+        users: stats.user || 0,
+        recruiters: stats.recruiter || 0,
+        anonymous: stats.anonymous || 0
+      };
+    });
+
+    const totals = series.reduce((sum, day) => ({
+      views: sum.views + day.views,
+      users: sum.users + day.users,
+      recruiters: sum.recruiters + day.recruiters,
+      anonymous: sum.anonymous + day.anonymous
+    }), { views: 0, users: 0, recruiters: 0, anonymous: 0 });
+
+    return successResponse(200, {
+      success: true,
+      userId,
+      from: start,
+      to: end,
+      allTimeViews: profile.Item.view || 0,
+      totals,
+      series
+    });
+  } catch (error) {
+    console.error('GetProfileAnalytics error:', error);
+    return errorResponse(500, 'Failed to fetch analytics', error.message);
+  }
+};
+
+/**
+ * Who viewed my profile
+ * GET /users/{userId}/viewers?limit=20&cursor={cursor}
+ * Owner on a plan with profileViewers, or an admin. Signed-in viewers from
+ * the last 90 days, most recent first. Anonymous views are counted in
+ * analytics but never listed.
+ */
+export const listProfileViewers = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only see your own viewers');
+    }
+
+    const caller = getCaller(event);
+
+    if (!hasRole(caller, 'admin') && !getEntitlements(caller.plan).profileViewers) {
+      return errorResponse(403, 'Upgrade your plan to see who viewed your profile',
+        limitDetails(caller.plan, 'profileViewers'));
+    }
+
+    const { limit, cursor } = event.queryStringParameters || {};
+    const pageSize = Math.min(parseInt(limit, 10) || 20, MAX_VIEWERS_LIMIT);
+
+    const params = {
+      TableName: PROFILE_VIEWS_TABLE,
+      IndexName: 'recentViewersIndex',
+      KeyConditionExpression: 'profileId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
+      Limit: pageSize
+    };
+
+    if (cursor) {
+      try {
+        params.ExclusiveStartKey = decodeCursor(cursor);
+      } catch (error) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+    }
+
+    const result = await documentClient.query(params).promise();
+    const viewerIds = result.Items.map(item => item.viewerId);
+    const [profile, viewers] = await Promise.all([
+      documentClient.get({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        ProjectionExpression: 'blockedUsers, blockedBy'
+      }).promise(),
+      viewerIds.length > 0
+        ? documentClient.batchGet({
+          RequestItems: {
+            [USERS_TABLE]: {
+              Keys: viewerIds.map(id => ({ userId: id })),
+              ProjectionExpression: 'userId, username, basicDetails.fullName, basicDetails.avatarUrl'
+            }
+          }
+        }).promise()
+        : { Responses: {} }
+    ]);
+
+    const byId = Object.fromEntries((viewers.Responses[USERS_TABLE] || []).map(viewer => [viewer.userId, viewer]));
+
+    // Deleted viewers and users either side has since blocked are left out
+    const items = result.Items
+      .filter(item => byId[item.viewerId] && !isBlockedBetween(profile.Item || {}, item.viewerId))
+      .map(item => ({
+        userId: item.viewerId,
+        username: byId[item.viewerId].username,
+        fullName: byId[item.viewerId].basicDetails?.fullName || '',
+        avatarUrl: byId[item.viewerId].basicDetails?.avatarUrl || '',
+        isRecruiter: item.viewerType === 'recruiter',
+        views: item.views,
+        firstViewedAt: item.firstViewedAt,
+        lastViewedAt: item.lastViewedAt
+      }));
+
+    return successResponse(200, {
+      success: true,
+      items,
+      count: items.length,
+      cursor: encodeCursor(result.LastEvaluatedKey)
+    });
+  } catch (error) {
+    console.error('ListProfileViewers error:', error);
+    return errorResponse(500, 'Failed to list profile viewers', error.message);
+  }
+};
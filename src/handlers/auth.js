@@ -1,9 +1,29 @@
 import AWS from 'aws-sdk';
+import { createHash, randomBytes } from 'crypto';
+import documentClient from '../utils/database.js';
+import { buildUserProfile, createProfile, generateUniqueUsername } from '../utils/userProfile.js';
+import { findUsername, transferUsernameItem } from '../utils/usernames.js';
+import { getCaller, hasRole, ROLES } from '../utils/auth.js';
+import { checkLockout, clearFailures, recordFailure, trackFailures, SCOPES } from '../utils/loginAttempts.js';
+import { createSession, deleteSession, findSessionByRefreshToken, listUserSessions, touchSession } from '../utils/sessions.js';
+import { writeAuditLog } from '../utils/audit.js';
 
 const cognito = new AWS.CognitoIdentityServiceProvider({
   region: process.env.REGION || 'ap-south-1'
 });
 
+const USERS_TABLE = process.env.USERS_TABLE;
+const COGNITO_DOMAIN = process.env.COGNITO_DOMAIN;
+const OAUTH_REDIRECT_URIS = (process.env.OAUTH_REDIRECT_URIS || '').split(',').map(uri => uri.trim()).filter(Boolean);
+
+// Identity provider names as configured on the user pool
+const OAUTH_PROVIDERS = {
+  cognito: 'COGNITO',
+  google: 'Google',
+  apple: 'SignInWithApple',
+  facebook: 'Facebook'
+};
+
 /**
  * Success response helper
  */
@@ -34,6 +54,148 @@ const errorResponse = (statusCode, message, details = null) => ({
   }),
 });
 
+/**
+ * Lockout response helper - 429 with Retry-After (seconds)
+ */
+const lockedOutResponse = (retryAfter) => {
+  const response = errorResponse(429, 'Too many failed attempts. Please try again later.', { retryAfter });
+  response.headers['Retry-After'] = String(retryAfter);
+  return response;
+};
+
+/**
+ * Resolve an email or phone number to the user's id (Cognito sub), which
+ * keys the audit trail. Returns the identifier itself for unknown accounts.
+ */
+const resolveUserId = async (username) => {
+  try {
+    const user = await cognito.adminGetUser({
+      UserPoolId: process.env.USER_POOL_ID,
+      Username: username
+    }).promise();
+
+    return user.Username;
+  } catch (error) {
+    if (error.code === 'UserNotFoundException') {
+      return username;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Validate password strength (mirrors the user pool password policy)
+ * Returns an error message or null
+ */
+const validatePasswordStrength = (password) => {
+  if (password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+
+  if (!/[A-Z]/.test(password)) {
+    return 'Password must contain at least one uppercase letter';
+  }
+
+  if (!/[a-z]/.test(password)) {
+    return 'Password must contain at least one lowercase letter';
+  }
+
+  if (!/[0-9]/.test(password)) {
+    return 'Password must contain at least one number';
+  }
+
+  return null;
+};
+
+/**
+ * Extract a bearer access token from the Authorization header
+ */
+const getAccessToken = (event) => {
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  return header.replace(/^Bearer\s+/i, '').trim() || null;
+};
+
+// Roles that must enable MFA before the authorizer lets their tokens through
+const MFA_REQUIRED_ROLES = ['recruiter'];
+
+/**
+ * Copy whether the signed-in user has MFA enabled to the profile's
+ * `mfaEnabled`, which the authorizer checks for MFA_REQUIRED_ROLES.
+ * Returns the flag.
+ */
+const syncMfaEnabled = async (accessToken) => {
+  const user = await cognito.getUser({ AccessToken: accessToken }).promise();
+  const mfaEnabled = (user.UserMFASettingList || []).length > 0;
+
+  try {
+    await documentClient.update({
+      TableName: USERS_TABLE,
+      Key: { userId: decodeJwtPayload(accessToken).sub },
+      UpdateExpression: 'SET mfaEnabled = :mfaEnabled',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeValues: { ':mfaEnabled': mfaEnabled }
+    }).promise();
+  } catch (error) {
+    // No profile yet - the authorizer treats a missing flag as MFA off
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  return mfaEnabled;
+};
+
+/**
+ * Build the response for an initiateAuth / respondToAuthChallenge result.
+ * Either returns the token bundle or the next challenge the client must answer.
+ * Tokens of a role that needs MFA without it enabled only work on the MFA
+ * setup routes, flagged with `mfaSetupRequired`.
+ */
+const authResultResponse = async (result, message, loginSession = null) => {
+  if (result.AuthenticationResult) {
+    const { AccessToken } = result.AuthenticationResult;
+    const groups = decodeJwtPayload(AccessToken)['cognito:groups'] || [];
+    const mfaSetupRequired = groups.some(group => MFA_REQUIRED_ROLES.includes(group)) &&
+      !(await syncMfaEnabled(AccessToken));
+
+    return successResponse(200, {
+      success: true,
+      message,
+      ...(loginSession && { sessionId: loginSession.sessionId }),
+      ...(mfaSetupRequired && { mfaSetupRequired: true }),
+      tokens: {
+        accessToken: result.AuthenticationResult.AccessToken,
+        idToken: result.AuthenticationResult.IdToken,
+        refreshToken: result.AuthenticationResult.RefreshToken,
+        expiresIn: result.AuthenticationResult.ExpiresIn
+      }
+    });
+  }
+
+  if (result.ChallengeName) {
+    const challengeParameters = result.ChallengeParameters || {};
+
+    return successResponse(200, {
+      success: true,
+      message: 'Additional verification required',
+      challengeName: result.ChallengeName,
+      session: result.Session,
+      challengeParameters: {
+        deliveryMedium: challengeParameters.CODE_DELIVERY_DELIVERY_MEDIUM,
+        destination: challengeParameters.CODE_DELIVERY_DESTINATION,
+        attemptsRemaining: challengeParameters.ATTEMPTS_REMAINING
+          ? parseInt(challengeParameters.ATTEMPTS_REMAINING, 10)
+          : undefined,
+        requiredAttributes: challengeParameters.requiredAttributes
+          ? JSON.parse(challengeParameters.requiredAttributes)
+          : undefined
+      }
+    });
+  }
+
+  return errorResponse(401, 'Authentication failed');
+};
+
 /**
  * User signup
  * POST /auth/signup
@@ -50,7 +212,994 @@ export const signUp = async (event) => {
       return errorResponse(400, 'Missing required fields: (email or phone_number), password, name');
     }
 
-    // Cannot provide both email and phone_number
+    // Cannot provide both email and phone_number
+    if (email && phone_number) {
+      return errorResponse(400, 'Provide either email or phone_number, not both');
+    }
+
+    // Validate email format if provided
+    if (email) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return errorResponse(400, 'Invalid email format');
+      }
+    }
+
+    // Validate phone number format if provided (basic validation)
+    if (phone_number) {
+      const phoneRegex = /^\+?[1-9]\d{1,14}$/;
+      if (!phoneRegex.test(phone_number.replace(/\s|-/g, ''))) {
+        return errorResponse(400, 'Invalid phone number format. Use E.164 format: +country code + number');
+      }
+    }
+
+    // Validate password strength
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) {
+      return errorResponse(400, passwordError);
+    }
+
+    const userAttributes = [
+      { Name: 'name', Value: name }
+    ];
+
+    if (email) {
+      userAttributes.push({ Name: 'email', Value: email });
+    }
+
+    if (phone_number) {
+      userAttributes.push({ Name: 'phone_number', Value: phone_number });
+    }
+
+    const params = {
+      ClientId: process.env.USER_POOL_CLIENT_ID,
+      Username: email || phone_number,
+      Password: password,
+      UserAttributes: userAttributes
+    };
+
+    const result = await cognito.signUp(params).promise();
+
+    return successResponse(201, {
+      success: true,
+      message: 'User registered successfully. Check your email/SMS for confirmation code.',
+      userId: result.UserSub,
+      userConfirmed: false
+    });
+  } catch (error) {
+    console.error('SignUp error:', error);
+
+    if (error.code === 'UsernameExistsException') {
+      return errorResponse(409, 'Email or phone number already registered');
+    }
+
+    if (error.code === 'InvalidPasswordException') {
+      return errorResponse(400, 'Password does not meet requirements');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Signup failed', error.message);
+  }
+};
+
+/**
+ * User login
+ * POST /auth/login
+ * Body: { (email or phone_number), password, deviceName, platform, pushToken }
+ * Note: Provide either email or phone_number. Device fields are optional and
+ * describe the session recorded for this login
+ */
+export const signIn = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { email, phone_number, password } = body;
+
+    // Validate inputs - either email or phone_number required
+    if ((!email && !phone_number) || !password) {
+      return errorResponse(400, 'Missing required fields: (email or phone_number), password');
+    }
+
+    // Cannot provide both
+    if (email && phone_number) {
+      return errorResponse(400, 'Provide either email or phone_number, not both');
+    }
+
+    const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
+
+    const lockout = await checkLockout('login', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
+    }
+
+    const params = {
+      AuthFlow: 'USER_PASSWORD_AUTH',
+      ClientId: process.env.USER_POOL_CLIENT_ID,
+      AuthParameters: {
+        USERNAME: username,
+        PASSWORD: password
+      }
+    };
+
+    const result = await trackFailures('login', username, sourceIp, cognito.initiateAuth(params).promise());
+
+    let loginSession = null;
+    if (result.AuthenticationResult) {
+      await clearFailures('login', username);
+      loginSession = await createSession(result.AuthenticationResult, body, event);
+    }
+
+    // Either tokens, or a challenge (MFA, new password) to answer via /auth/challenge
+    return await authResultResponse(result, 'Login successful', loginSession);
+  } catch (error) {
+    console.error('SignIn error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(401, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Invalid credentials');
+    }
+
+    if (error.code === 'UserNotConfirmedException') {
+      return errorResponse(403, 'User email or phone not confirmed. Check your email/SMS for confirmation link.');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Login failed', error.message);
+  }
+};
+
+/**
+ * Answer an authentication challenge returned by login
+ * POST /auth/challenge
+ * Body: { (email or phone_number), challengeName, session, code | newPassword, deviceName, platform, pushToken }
+ * Supported challenges: SMS_MFA, SOFTWARE_TOKEN_MFA, NEW_PASSWORD_REQUIRED
+ */
+export const respondToChallenge = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { email, phone_number, challengeName, session, code, newPassword } = body;
+
+    // Validate inputs - either email or phone_number required
+    if ((!email && !phone_number) || !challengeName || !session) {
+      return errorResponse(400, 'Missing required fields: (email or phone_number), challengeName, session');
+    }
+
+    if (email && phone_number) {
+      return errorResponse(400, 'Provide either email or phone_number, not both');
+    }
+
+    const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
+
+    const lockout = await checkLockout('login', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
+    }
+    const challengeResponses = { USERNAME: username };
+
+    if (challengeName === 'SMS_MFA' || challengeName === 'SOFTWARE_TOKEN_MFA') {
+      if (!code) {
+        return errorResponse(400, 'Missing required field: code');
+      }
+
+      challengeResponses[`${challengeName}_CODE`] = code.toString();
+    } else if (challengeName === 'NEW_PASSWORD_REQUIRED') {
+      if (!newPassword) {
+        return errorResponse(400, 'Missing required field: newPassword');
+      }
+
+      const passwordError = validatePasswordStrength(newPassword);
+      if (passwordError) {
+        return errorResponse(400, passwordError);
+      }
+
+      challengeResponses.NEW_PASSWORD = newPassword;
+    } else {
+      return errorResponse(400, 'Invalid challengeName. Use: SMS_MFA, SOFTWARE_TOKEN_MFA, or NEW_PASSWORD_REQUIRED');
+    }
+
+    const params = {
+      ClientId: process.env.USER_POOL_CLIENT_ID,
+      ChallengeName: challengeName,
+      Session: session,
+      ChallengeResponses: challengeResponses
+    };
+
+    const result = await trackFailures('login', username, sourceIp, cognito.respondToAuthChallenge(params).promise());
+
+    let loginSession = null;
+    if (result.AuthenticationResult) {
+      await clearFailures('login', username);
+      loginSession = await createSession(result.AuthenticationResult, body, event);
+    }
+
+    return await authResultResponse(result, 'Login successful', loginSession);
+  } catch (error) {
+    console.error('RespondToChallenge error:', error);
+
+    if (error.code === 'CodeMismatchException') {
+      return errorResponse(400, 'Invalid verification code');
+    }
+
+    if (error.code === 'ExpiredCodeException') {
+      return errorResponse(400, 'Verification code has expired. Please login again.');
+    }
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Session is invalid or expired. Please login again.');
+    }
+
+    if (error.code === 'InvalidPasswordException') {
+      return errorResponse(400, 'Password does not meet requirements');
+    }
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(401, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    if (error.code === 'TooManyRequestsException' || error.code === 'LimitExceededException') {
+      return errorResponse(429, 'Too many attempts. Please try again later.');
+    }
+
+    return errorResponse(500, 'Challenge response failed', error.message);
+  }
+};
+
+/**
+ * Start TOTP (authenticator app) MFA enrollment
+ * POST /auth/mfa/totp/setup
+ * Header: Authorization: Bearer {accessToken}
+ * Note: Returns the shared secret; confirm it with /auth/mfa/totp/verify
+ */
+export const setupTotpMfa = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
+    }
+
+    const result = await cognito.associateSoftwareToken({ AccessToken: accessToken }).promise();
+
+    return successResponse(200, {
+      success: true,
+      message: 'Scan the secret with your authenticator app, then verify a code',
+      secretCode: result.SecretCode,
+      otpauthUri: `otpauth://totp/ArtistHub?secret=${result.SecretCode}&issuer=ArtistHub`
+    });
+  } catch (error) {
+    console.error('SetupTotpMfa error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Access token is invalid, expired or revoked');
+    }
+
+    if (error.code === 'SoftwareTokenMFANotFoundException') {
+      return errorResponse(400, 'Authenticator app MFA is not enabled for this user pool');
+    }
+
+    return errorResponse(500, 'Failed to start MFA setup', error.message);
+  }
+};
+
+/**
+ * Verify TOTP enrollment and enable it as the preferred MFA method
+ * POST /auth/mfa/totp/verify
+ * Header: Authorization: Bearer {accessToken}
+ * Body: { code, deviceName }
+ */
+export const verifyTotpMfa = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+    const body = JSON.parse(event.body || '{}');
+    const { code, deviceName } = body;
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
+    }
+
+    if (!code) {
+      return errorResponse(400, 'Missing required field: code');
+    }
+
+    const result = await cognito.verifySoftwareToken({
+      AccessToken: accessToken,
+      UserCode: code.toString(),
+      FriendlyDeviceName: deviceName || 'Authenticator app'
+    }).promise();
+
+    if (result.Status !== 'SUCCESS') {
+      return errorResponse(400, 'Invalid verification code');
+    }
+
+    await cognito.setUserMFAPreference({
+      AccessToken: accessToken,
+      SoftwareTokenMfaSettings: {
+        Enabled: true,
+        PreferredMfa: true
+      }
+    }).promise();
+
+    await syncMfaEnabled(accessToken);
+
+    return successResponse(200, {
+      success: true,
+      message: 'Authenticator app MFA enabled'
+    });
+  } catch (error) {
+    console.error('VerifyTotpMfa error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Access token is invalid, expired or revoked');
+    }
+
+    if (error.code === 'CodeMismatchException' || error.code === 'EnableSoftwareTokenMFAException') {
+      return errorResponse(400, 'Invalid verification code');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Failed to verify MFA setup', error.message);
+  }
+};
+
+/**
+ * Set MFA preferences
+ * PUT /auth/mfa/preference
+ * Header: Authorization: Bearer {accessToken}
+ * Body: { sms: boolean, totp: boolean, preferred: 'sms' | 'totp' }
+ * Note: SMS MFA requires a verified phone_number; TOTP requires /auth/mfa/totp/verify first
+ */
+export const setMfaPreference = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+    const body = JSON.parse(event.body || '{}');
+    const { sms, totp, preferred } = body;
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
+    }
+
+    if (sms === undefined && totp === undefined) {
+      return errorResponse(400, 'Missing required fields: sms and/or totp');
+    }
+
+    if (preferred && !['sms', 'totp'].includes(preferred)) {
+      return errorResponse(400, 'Invalid preferred method. Use: sms or totp');
+    }
+
+    if ((preferred === 'sms' && sms === false) || (preferred === 'totp' && totp === false)) {
+      return errorResponse(400, 'Preferred method must be enabled');
+    }
+
+    const params = { AccessToken: accessToken };
+
+    if (sms !== undefined) {
+      params.SMSMfaSettings = {
+        Enabled: Boolean(sms),
+        PreferredMfa: Boolean(sms) && preferred === 'sms'
+      };
+    }
+
+    if (totp !== undefined) {
+      params.SoftwareTokenMfaSettings = {
+        Enabled: Boolean(totp),
+        PreferredMfa: Boolean(totp) && preferred === 'totp'
+      };
+    }
+
+    await cognito.setUserMFAPreference(params).promise();
+    const mfaEnabled = await syncMfaEnabled(accessToken);
+
+    return successResponse(200, {
+      success: true,
+      message: 'MFA preferences updated',
+      mfaEnabled
+    });
+  } catch (error) {
+    console.error('SetMfaPreference error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Access token is invalid, expired or revoked');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Failed to update MFA preferences', error.message);
+  }
+};
+
+/**
+ * Start passwordless login - sends a one-time code
+ * POST /auth/otp/start
+ * Body: { email or phone_number }
+ * Note: Provide either email or phone_number; the code goes to that channel
+ */
+export const startOtpLogin = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { email, phone_number } = body;
+
+    // Validate inputs - either email or phone_number required
+    if (!email && !phone_number) {
+      return errorResponse(400, 'Missing required field: email or phone_number');
+    }
+
+    if (email && phone_number) {
+      return errorResponse(400, 'Provide either email or phone_number, not both');
+    }
+
+    const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
+
+    const lockout = await checkLockout('otp', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
+    }
+
+    const params = {
+      AuthFlow: 'CUSTOM_AUTH',
+      ClientId: process.env.USER_POOL_CLIENT_ID,
+      AuthParameters: {
+        USERNAME: username
+      }
+    };
+
+    // Every code sent counts against the limit, not only wrong answers
+    await recordFailure('otp', username, sourceIp);
+
+    const started = await cognito.initiateAuth(params).promise();
+
+    if (started.ChallengeName !== 'CUSTOM_CHALLENGE' || started.ChallengeParameters?.STEP !== 'CHANNEL') {
+      return errorResponse(401, 'Authentication failed');
+    }
+
+    // The first challenge asks for the channel; answering it sends the code
+    // (see src/triggers/customAuth.js)
+    const channel = email ? 'EMAIL' : 'SMS';
+    let result;
+
+    try {
+      result = await cognito.respondToAuthChallenge({
+        ClientId: process.env.USER_POOL_CLIENT_ID,
+        ChallengeName: 'CUSTOM_CHALLENGE',
+        Session: started.Session,
+        ChallengeResponses: {
+          USERNAME: username,
+          ANSWER: channel
+        },
+        ClientMetadata: { channel }
+      }).promise();
+    } catch (error) {
+      if (error.code === 'NotAuthorizedException') {
+        return errorResponse(400, `Could not send login code. Make sure your ${email ? 'email' : 'phone number'} is verified.`);
+      }
+      throw error;
+    }
+
+    if (result.ChallengeName !== 'CUSTOM_CHALLENGE') {
+      return errorResponse(401, 'Authentication failed');
+    }
+
+    return successResponse(200, {
+      success: true,
+      message: 'Login code sent to your email or phone',
+      session: result.Session,
+      codeDeliveryDetails: {
+        destination: result.ChallengeParameters?.CODE_DELIVERY_DESTINATION,
+        deliveryMedium: result.ChallengeParameters?.CODE_DELIVERY_DELIVERY_MEDIUM
+      }
+    });
+  } catch (error) {
+    console.error('StartOtpLogin error:', error);
+
+    if (error.code === 'UserNotFoundException' || error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'UserNotConfirmedException') {
+      return errorResponse(403, 'User email or phone not confirmed. Check your email/SMS for confirmation link.');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    if (error.code === 'UserLambdaValidationException') {
+      return errorResponse(400, 'Could not send login code. Make sure your email or phone is verified.');
+    }
+
+    if (error.code === 'TooManyRequestsException' || error.code === 'LimitExceededException') {
+      return errorResponse(429, 'Too many requests. Please try again later.');
+    }
+
+    return errorResponse(500, 'Failed to send login code', error.message);
+  }
+};
+
+/**
+ * Complete passwordless login with the one-time code
+ * POST /auth/otp/verify
+ * Body: { (email or phone_number), session, code, deviceName, platform, pushToken }
+ * Note: A wrong code returns a new session with attemptsRemaining; after the
+ * last attempt the session is invalidated and a new code must be requested
+ */
+export const verifyOtpLogin = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { email, phone_number, session, code } = body;
+
+    // Validate inputs - either email or phone_number required
+    if ((!email && !phone_number) || !session || !code) {
+      return errorResponse(400, 'Missing required fields: (email or phone_number), session, code');
+    }
+
+    if (email && phone_number) {
+      return errorResponse(400, 'Provide either email or phone_number, not both');
+    }
+
+    const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
+
+    const lockout = await checkLockout('otp', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
+    }
+
+    const params = {
+      ClientId: process.env.USER_POOL_CLIENT_ID,
+      ChallengeName: 'CUSTOM_CHALLENGE',
+      Session: session,
+      ChallengeResponses: {
+        USERNAME: username,
+        ANSWER: code.toString()
+      }
+    };
+
+    const result = await trackFailures('otp', username, sourceIp, cognito.respondToAuthChallenge(params).promise());
+
+    if (result.ChallengeName === 'CUSTOM_CHALLENGE') {
+      await recordFailure('otp', username, sourceIp);
+
+      return errorResponse(400, 'Invalid login code', {
+        session: result.Session,
+        attemptsRemaining: parseInt(result.ChallengeParameters?.ATTEMPTS_REMAINING || '0', 10)
+      });
+    }
+
+    let loginSession = null;
+    if (result.AuthenticationResult) {
+      await clearFailures('otp', username);
+      loginSession = await createSession(result.AuthenticationResult, body, event);
+    }
+
+    return await authResultResponse(result, 'Login successful', loginSession);
+  } catch (error) {
+    console.error('VerifyOtpLogin error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Login code is invalid or expired. Please request a new one.');
+    }
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(401, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    if (error.code === 'TooManyRequestsException' || error.code === 'LimitExceededException') {
+      return errorResponse(429, 'Too many attempts. Please try again later.');
+    }
+
+    return errorResponse(500, 'Login code verification failed', error.message);
+  }
+};
+
+/**
+ * Base64url encoding used by PKCE
+ */
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Decode the payload of a JWT without verifying it.
+ * Only use on tokens received directly from Cognito over TLS.
+ */
+const decodeJwtPayload = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+
+/**
+ * Whether a Cognito user with this username (a sub) exists in the pool
+ */
+const cognitoUserExists = async (username) => {
+  try {
+    await cognito.adminGetUser({
+      UserPoolId: process.env.USER_POOL_ID,
+      Username: username
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'UserNotFoundException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Link a federated identity to the existing Cognito account that owns a
+ * profile, so the next social login signs in as that account (same sub).
+ * The federated user created by this login is deleted first - Cognito only
+ * links identities that have no user of their own - which also ends the
+ * tokens it was just issued.
+ */
+const linkToCognitoAccount = async (claims, accountUserId) => {
+  const [identity] = claims.identities || [];
+
+  if (!identity) {
+    throw new Error('Federated token has no identities claim');
+  }
+
+  await cognito.adminDeleteUser({
+    UserPoolId: process.env.USER_POOL_ID,
+    Username: claims['cognito:username']
+  }).promise();
+
+  await cognito.adminLinkProviderForUser({
+    UserPoolId: process.env.USER_POOL_ID,
+    DestinationUser: {
+      ProviderName: 'Cognito',
+      ProviderAttributeValue: accountUserId
+    },
+    SourceUser: {
+      ProviderName: identity.providerName,
+      ProviderAttributeName: 'Cognito_Subject',
+      ProviderAttributeValue: identity.userId
+    }
+  }).promise();
+};
+
+/**
+ * Re-key a profile that no Cognito account owns (e.g. created through a
+ * partner API key) to the federated user's sub, together with the username
+ * rows that point at it. Fails if the profile changed since it was read.
+ */
+const migrateProfile = async (profile, sub) => {
+  const migrated = { ...profile, userId: sub, cognitoSub: sub };
+  const usernames = [profile.username, ...(profile.usernameHistory || []).map(change => change.from)];
+  const entries = await Promise.all(usernames.map(findUsername));
+
+  await documentClient.transactWrite({
+    TransactItems: [
+      {
+        Put: {
+          TableName: USERS_TABLE,
+          Item: migrated,
+          ConditionExpression: 'attribute_not_exists(userId)'
+        }
+      },
+      {
+        Delete: {
+          TableName: USERS_TABLE,
+          Key: { userId: profile.userId },
+          ConditionExpression: '#updatedAt = :updatedAt',
+          ExpressionAttributeNames: { '#updatedAt': 'updatedAt' },
+          ExpressionAttributeValues: { ':updatedAt': profile.updatedAt }
+        }
+      },
+      ...entries
+        .filter(entry => entry?.userId === profile.userId)
+        .map(entry => transferUsernameItem(entry.username, profile.userId, sub))
+    ]
+  }).promise();
+
+  return migrated;
+};
+
+/**
+ * Find the profile for a federated identity, linking an existing profile
+ * with the same verified email or creating a new one. A profile is always
+ * keyed by the sub its owner signs in with:
+ * - a profile of an existing Cognito account has the federated identity
+ *   linked to that account, and the user must sign in again (`signInAgain`)
+ * - a profile without an account is moved to the federated user's sub
+ * Returns { user, profileStatus: 'existing' | 'linked' | 'created', signInAgain }
+ */
+const linkOrCreateProfile = async (claims) => {
+  const existing = await documentClient.get({
+    TableName: USERS_TABLE,
+    Key: { userId: claims.sub }
+  }).promise();
+
+  if (existing.Item) {
+    return { user: existing.Item, profileStatus: 'existing' };
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (claims.email && emailVerified) {
+    const byEmail = await documentClient.query({
+      TableName: USERS_TABLE,
+      IndexName: 'emailIndex',
+      KeyConditionExpression: 'email = :email',
+      ExpressionAttributeValues: {
+        ':email': claims.email
+      }
+    }).promise();
+
+    const match = (byEmail.Items || []).find(item => !item.cognitoSub || item.cognitoSub === claims.sub);
+
+    if (match && await cognitoUserExists(match.userId)) {
+      await linkToCognitoAccount(claims, match.userId);
+      return { user: match, profileStatus: 'linked', signInAgain: true };
+    }
+
+    if (match) {
+      return { user: await migrateProfile(match, claims.sub), profileStatus: 'linked' };
+    }
+  }
+
+  const username = await generateUniqueUsername(claims.name || claims.email);
+  const user = buildUserProfile(claims.sub, {
+    username,
+    email: claims.email,
+    basicDetails: {
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      fullName: claims.name,
+      avatarUrl: claims.picture
+    }
+  });
+  user.cognitoSub = claims.sub;
+
+  await createProfile(user);
+
+  return { user, profileStatus: 'created' };
+};
+
+/**
+ * Build the hosted UI authorize URL for social login (authorization code + PKCE)
+ * GET /auth/oauth/authorize?provider=google&redirectUri=...
+ * Note: The client must keep `state` and `codeVerifier` and send the verifier
+ * to /auth/oauth/callback together with the returned code
+ */
+export const oauthAuthorize = async (event) => {
+  try {
+    const { provider, redirectUri = OAUTH_REDIRECT_URIS[0] } = event.queryStringParameters || {};
+
+    if (!COGNITO_DOMAIN || OAUTH_REDIRECT_URIS.length === 0) {
+      console.error('COGNITO_DOMAIN or OAUTH_REDIRECT_URIS environment variable not set');
+      return errorResponse(500, 'Server configuration error');
+    }
+
+    if (!OAUTH_REDIRECT_URIS.includes(redirectUri)) {
+      return errorResponse(400, 'Invalid redirectUri');
+    }
+
+    const identityProvider = provider ? OAUTH_PROVIDERS[provider.toLowerCase()] : null;
+    if (provider && !identityProvider) {
+      return errorResponse(400, `Invalid provider. Use one of: ${Object.keys(OAUTH_PROVIDERS).join(', ')}`);
+    }
+
+    const state = base64url(randomBytes(16));
+    const codeVerifier = base64url(randomBytes(32));
+    const codeChallenge = base64url(createHash('sha256').update(codeVerifier).digest());
+
+    const query = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.USER_POOL_CLIENT_ID,
+      redirect_uri: redirectUri,
+      scope: 'openid email profile',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    if (identityProvider) {
+      query.set('identity_provider', identityProvider);
+    }
+
+    return successResponse(200, {
+      success: true,
+      authorizeUrl: `https://${COGNITO_DOMAIN}/oauth2/authorize?${query.toString()}`,
+      state,
+      codeVerifier,
+      redirectUri
+    });
+  } catch (error) {
+    console.error('OAuthAuthorize error:', error);
+    return errorResponse(500, 'Failed to build authorize URL', error.message);
+  }
+};
+
+/**
+ * Complete social login - exchange the authorization code for tokens
+ * POST /auth/oauth/callback
+ * Body: { code, codeVerifier, redirectUri }
+ * Note: Links the identity to an existing profile with the same verified
+ * email, or creates a new profile keyed by the Cognito sub
+ */
+export const oauthCallback = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { code, codeVerifier, redirectUri = OAUTH_REDIRECT_URIS[0] } = body;
+
+    if (!code || !codeVerifier) {
+      return errorResponse(400, 'Missing required fields: code, codeVerifier');
+    }
+
+    if (!COGNITO_DOMAIN || OAUTH_REDIRECT_URIS.length === 0) {
+      console.error('COGNITO_DOMAIN or OAUTH_REDIRECT_URIS environment variable not set');
+      return errorResponse(500, 'Server configuration error');
+    }
+
+    if (!OAUTH_REDIRECT_URIS.includes(redirectUri)) {
+      return errorResponse(400, 'Invalid redirectUri');
+    }
+
+    const response = await fetch(`https://${COGNITO_DOMAIN}/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        client_id: process.env.USER_POOL_CLIENT_ID,
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+      }).toString()
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      if (result.error === 'invalid_grant') {
+        return errorResponse(400, 'Authorization code is invalid, expired or already used');
+      }
+
+      return errorResponse(response.status >= 500 ? 502 : 400, 'Token exchange failed', result.error);
+    }
+
+    const claims = decodeJwtPayload(result.id_token);
+    const { user, profileStatus, signInAgain } = await linkOrCreateProfile(claims);
+
+    // The tokens belong to the federated user that was just merged away
+    if (signInAgain) {
+      return successResponse(200, {
+        success: true,
+        message: 'Social login linked to your existing account. Sign in again to continue.',
+        profileStatus,
+        signInAgain: true,
+        user: {
+          userId: user.userId,
+          username: user.username
+        }
+      });
+    }
+
+    return successResponse(200, {
+      success: true,
+      message: 'Login successful',
+      tokens: {
+        accessToken: result.access_token,
+        idToken: result.id_token,
+        refreshToken: result.refresh_token,
+        expiresIn: result.expires_in
+      },
+      profileStatus,
+      user: {
+        userId: user.userId,
+        username: user.username
+      }
+    });
+  } catch (error) {
+    console.error('OAuthCallback error:', error);
+    return errorResponse(500, 'Social login failed', error.message);
+  }
+};
+
+/**
+ * Change password for a logged-in user
+ * POST /auth/change-password
+ * Header: Authorization: Bearer {accessToken}
+ * Body: { oldPassword, newPassword }
+ */
+export const changePassword = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+    const body = JSON.parse(event.body || '{}');
+    const { oldPassword, newPassword } = body;
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
+    }
+
+    if (!oldPassword || !newPassword) {
+      return errorResponse(400, 'Missing required fields: oldPassword, newPassword');
+    }
+
+    if (oldPassword === newPassword) {
+      return errorResponse(400, 'New password must be different from the current password');
+    }
+
+    // Validate password strength
+    const passwordError = validatePasswordStrength(newPassword);
+    if (passwordError) {
+      return errorResponse(400, passwordError);
+    }
+
+    await cognito.changePassword({
+      AccessToken: accessToken,
+      PreviousPassword: oldPassword,
+      ProposedPassword: newPassword
+    }).promise();
+
+    return successResponse(200, {
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('ChangePassword error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Current password is incorrect or session has expired');
+    }
+
+    if (error.code === 'InvalidPasswordException') {
+      return errorResponse(400, 'Password does not meet requirements');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    if (error.code === 'LimitExceededException' || error.code === 'TooManyRequestsException') {
+      return errorResponse(429, 'Too many attempts. Please try again later.');
+    }
+
+    return errorResponse(500, 'Password change failed', error.message);
+  }
+};
+
+/**
+ * Request a change of email or phone number
+ * POST /auth/change-contact
+ * Header: Authorization: Bearer {accessToken}
+ * Body: { email or phone_number }
+ * Note: A verification code is sent to the new address; the current one stays
+ * active until the change is confirmed via /auth/change-contact/verify
+ */
+export const changeContact = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+    const body = JSON.parse(event.body || '{}');
+    const { email, phone_number } = body;
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
+    }
+
+    // Validate inputs - either email or phone_number required
+    if (!email && !phone_number) {
+      return errorResponse(400, 'Missing required field: email or phone_number');
+    }
+
     if (email && phone_number) {
       return errorResponse(400, 'Provide either email or phone_number, not both');
     }
@@ -71,127 +1220,220 @@ export const signUp = async (event) => {
       }
     }
 
-    // Validate password strength
-    if (password.length < 8) {
-      return errorResponse(400, 'Password must be at least 8 characters');
+    const attributeName = email ? 'email' : 'phone_number';
+
+    const result = await cognito.updateUserAttributes({
+      AccessToken: accessToken,
+      UserAttributes: [
+        { Name: attributeName, Value: email || phone_number }
+      ]
+    }).promise();
+
+    const delivery = result.CodeDeliveryDetailsList?.[0];
+
+    return successResponse(200, {
+      success: true,
+      message: 'Verification code sent to the new email or phone number',
+      attribute: attributeName,
+      codeDeliveryDetails: {
+        destination: delivery?.Destination,
+        deliveryMedium: delivery?.DeliveryMedium,
+        attributeName: delivery?.AttributeName
+      }
+    });
+  } catch (error) {
+    console.error('ChangeContact error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Access token is invalid, expired or revoked');
+    }
+
+    if (error.code === 'AliasExistsException') {
+      return errorResponse(409, 'Email or phone number already registered');
     }
 
-    if (!/[A-Z]/.test(password)) {
-      return errorResponse(400, 'Password must contain at least one uppercase letter');
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
     }
 
-    if (!/[a-z]/.test(password)) {
-      return errorResponse(400, 'Password must contain at least one lowercase letter');
+    if (error.code === 'CodeDeliveryFailureException') {
+      return errorResponse(400, 'Could not deliver verification code to the new email or phone number');
     }
 
-    if (!/[0-9]/.test(password)) {
-      return errorResponse(400, 'Password must contain at least one number');
+    if (error.code === 'LimitExceededException' || error.code === 'TooManyRequestsException') {
+      return errorResponse(429, 'Too many requests. Please try again later.');
     }
 
-    const userAttributes = [
-      { Name: 'name', Value: name }
-    ];
+    return errorResponse(500, 'Contact change failed', error.message);
+  }
+};
 
-    if (email) {
-      userAttributes.push({ Name: 'email', Value: email });
+/**
+ * Confirm a change of email or phone number
+ * POST /auth/change-contact/verify
+ * Header: Authorization: Bearer {accessToken}
+ * Body: { attribute: 'email' | 'phone_number', code }
+ * Note: On success the profile's contactDetails are updated to match
+ */
+export const verifyContactChange = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+    const body = JSON.parse(event.body || '{}');
+    const { attribute, code } = body;
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
     }
 
-    if (phone_number) {
-      userAttributes.push({ Name: 'phone_number', Value: phone_number });
+    if (!attribute || !code) {
+      return errorResponse(400, 'Missing required fields: attribute, code');
     }
 
-    const params = {
-      ClientId: process.env.USER_POOL_CLIENT_ID,
-      Username: email || phone_number,
-      Password: password,
-      UserAttributes: userAttributes
-    };
+    if (!['email', 'phone_number'].includes(attribute)) {
+      return errorResponse(400, 'Invalid attribute. Use: email or phone_number');
+    }
 
-    const result = await cognito.signUp(params).promise();
+    await cognito.verifyUserAttribute({
+      AccessToken: accessToken,
+      AttributeName: attribute,
+      Code: code.toString()
+    }).promise();
+
+    // Read back the now-verified value and sync it to the profile
+    const cognitoUser = await cognito.getUser({ AccessToken: accessToken }).promise();
+    const attributes = Object.fromEntries(
+      (cognitoUser.UserAttributes || []).map(({ Name, Value }) => [Name, Value])
+    );
+    const value = attributes[attribute];
+
+    let profileUpdated = true;
+
+    try {
+      const params = attribute === 'email'
+        ? {
+          UpdateExpression: 'SET #email = :value, #contactDetails.#email = :value, #updatedAt = :now',
+          ExpressionAttributeNames: {
+            '#email': 'email',
+            '#contactDetails': 'contactDetails',
+            '#updatedAt': 'updatedAt'
+          }
+        }
+        : {
+          UpdateExpression: 'SET #contactDetails.#phone = :value, #updatedAt = :now',
+          ExpressionAttributeNames: {
+            '#contactDetails': 'contactDetails',
+            '#phone': 'phone',
+            '#updatedAt': 'updatedAt'
+          }
+        };
+
+      await documentClient.update({
+        TableName: USERS_TABLE,
+        Key: { userId: attributes.sub },
+        ...params,
+        ExpressionAttributeValues: {
+          ':value': value,
+          ':now': new Date().toISOString()
+        },
+        ConditionExpression: 'attribute_exists(userId)'
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
 
-    return successResponse(201, {
+      // No profile for this account yet - nothing to sync
+      profileUpdated = false;
+    }
+
+    return successResponse(200, {
       success: true,
-      message: 'User registered successfully. Check your email/SMS for confirmation code.',
-      userId: result.UserSub,
-      userConfirmed: false
+      message: 'Email/Phone updated successfully',
+      attribute,
+      value,
+      profileUpdated
     });
   } catch (error) {
-    console.error('SignUp error:', error);
+    console.error('VerifyContactChange error:', error);
 
-    if (error.code === 'UsernameExistsException') {
-      return errorResponse(409, 'Email or phone number already registered');
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Access token is invalid, expired or revoked');
     }
 
-    if (error.code === 'InvalidPasswordException') {
-      return errorResponse(400, 'Password does not meet requirements');
+    if (error.code === 'CodeMismatchException') {
+      return errorResponse(400, 'Invalid verification code');
+    }
+
+    if (error.code === 'ExpiredCodeException') {
+      return errorResponse(400, 'Verification code has expired. Please request a new one.');
+    }
+
+    if (error.code === 'AliasExistsException') {
+      return errorResponse(409, 'Email or phone number already registered');
     }
 
     if (error.code === 'InvalidParameterException') {
       return errorResponse(400, 'Invalid parameters', error.message);
     }
 
-    return errorResponse(500, 'Signup failed', error.message);
+    if (error.code === 'LimitExceededException' || error.code === 'TooManyRequestsException') {
+      return errorResponse(429, 'Too many attempts. Please try again later.');
+    }
+
+    return errorResponse(500, 'Contact verification failed', error.message);
   }
 };
 
 /**
- * User login
- * POST /auth/login
- * Body: { (email or phone_number), password }
- * Note: Provide either email or phone_number
+ * Refresh tokens
+ * POST /auth/refresh
+ * Body: { refreshToken }
+ * Note: Returns new access and id tokens; the refresh token itself is not rotated
  */
-export const signIn = async (event) => {
+export const refreshToken = async (event) => {
   try {
     const body = JSON.parse(event.body || '{}');
-    const { email, phone_number, password } = body;
+    const { refreshToken } = body;
 
-    // Validate inputs - either email or phone_number required
-    if ((!email && !phone_number) || !password) {
-      return errorResponse(400, 'Missing required fields: (email or phone_number), password');
-    }
-
-    // Cannot provide both
-    if (email && phone_number) {
-      return errorResponse(400, 'Provide either email or phone_number, not both');
+    if (!refreshToken) {
+      return errorResponse(400, 'Missing required field: refreshToken');
     }
 
-    const username = email || phone_number;
-
     const params = {
-      AuthFlow: 'USER_PASSWORD_AUTH',
+      AuthFlow: 'REFRESH_TOKEN_AUTH',
       ClientId: process.env.USER_POOL_CLIENT_ID,
       AuthParameters: {
-        USERNAME: username,
-        PASSWORD: password
+        REFRESH_TOKEN: refreshToken
       }
     };
 
     const result = await cognito.initiateAuth(params).promise();
 
-    // Check if authentication was successful
     if (!result.AuthenticationResult) {
-      return errorResponse(401, 'Authentication failed');
+      return errorResponse(401, 'Token refresh failed');
     }
 
+    await touchSession(refreshToken, event);
+
     return successResponse(200, {
       success: true,
-      message: 'Login successful',
+      message: 'Tokens refreshed successfully',
       tokens: {
         accessToken: result.AuthenticationResult.AccessToken,
         idToken: result.AuthenticationResult.IdToken,
-        refreshToken: result.AuthenticationResult.RefreshToken,
+        refreshToken: result.AuthenticationResult.RefreshToken || refreshToken,
         expiresIn: result.AuthenticationResult.ExpiresIn
       }
     });
   } catch (error) {
-    console.error('SignIn error:', error);
+    console.error('RefreshToken error:', error);
 
-    if (error.code === 'UserNotFoundException') {
-      return errorResponse(401, 'Email or phone number not registered');
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Refresh token is invalid, expired or revoked');
     }
 
-    if (error.code === 'NotAuthorizedException') {
-      return errorResponse(401, 'Invalid credentials');
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(401, 'Email or phone number not registered');
     }
 
     if (error.code === 'UserNotConfirmedException') {
@@ -202,7 +1444,109 @@ export const signIn = async (event) => {
       return errorResponse(400, 'Invalid parameters', error.message);
     }
 
-    return errorResponse(500, 'Login failed', error.message);
+    return errorResponse(500, 'Token refresh failed', error.message);
+  }
+};
+
+/**
+ * Logout from the current device
+ * POST /auth/logout
+ * Body: { refreshToken }
+ * Note: Revokes the refresh token and every access/id token issued from it
+ */
+export const signOut = async (event) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { refreshToken } = body;
+
+    if (!refreshToken) {
+      return errorResponse(400, 'Missing required field: refreshToken');
+    }
+
+    const params = {
+      ClientId: process.env.USER_POOL_CLIENT_ID,
+      Token: refreshToken
+    };
+
+    await cognito.revokeToken(params).promise();
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session) {
+      await deleteSession(session);
+    }
+
+    return successResponse(200, {
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('SignOut error:', error);
+
+    if (error.code === 'UnauthorizedException' || error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Refresh token is invalid or already revoked');
+    }
+
+    if (error.code === 'UnsupportedTokenTypeException') {
+      return errorResponse(400, 'Token must be a refresh token');
+    }
+
+    if (error.code === 'UnsupportedOperationException') {
+      return errorResponse(400, 'Token revocation is not enabled for this client');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Logout failed', error.message);
+  }
+};
+
+/**
+ * Logout from all devices
+ * POST /auth/logout-all
+ * Header: Authorization: Bearer {accessToken}
+ * Note: Invalidates every refresh token issued to the user
+ */
+export const globalSignOut = async (event) => {
+  try {
+    const accessToken = getAccessToken(event);
+
+    if (!accessToken) {
+      return errorResponse(401, 'Missing access token');
+    }
+
+    await cognito.globalSignOut({ AccessToken: accessToken }).promise();
+
+    const { userId } = getCaller(event);
+    for (const session of await listUserSessions(userId)) {
+      await deleteSession(session);
+    }
+
+    return successResponse(200, {
+      success: true,
+      message: 'Logged out from all devices successfully'
+    });
+  } catch (error) {
+    console.error('GlobalSignOut error:', error);
+
+    if (error.code === 'NotAuthorizedException') {
+      return errorResponse(401, 'Access token is invalid, expired or revoked');
+    }
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'UserNotConfirmedException') {
+      return errorResponse(403, 'User email or phone not confirmed');
+    }
+
+    if (error.code === 'TooManyRequestsException') {
+      return errorResponse(429, 'Too many requests. Please try again later.');
+    }
+
+    return errorResponse(500, 'Logout from all devices failed', error.message);
   }
 };
 
@@ -227,6 +1571,12 @@ export const confirmSignUp = async (event) => {
     }
 
     const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
+
+    const lockout = await checkLockout('confirm', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
+    }
 
     const params = {
       ClientId: process.env.USER_POOL_CLIENT_ID,
@@ -234,7 +1584,8 @@ export const confirmSignUp = async (event) => {
       ConfirmationCode: confirmationCode.toString()
     };
 
-    await cognito.confirmSignUp(params).promise();
+    await trackFailures('confirm', username, sourceIp, cognito.confirmSignUp(params).promise());
+    await clearFailures('confirm', username);
 
     return successResponse(200, {
       success: true,
@@ -328,10 +1679,14 @@ export const resendConfirmationCode = async (event) => {
  * POST /auth/admin-confirm
  * Body: { email or phone_number }
  * Note: Provide either email or phone_number
- * This endpoint is meant for admin operations to confirm users directly
+ * Admin only - confirms users directly
  */
 export const adminConfirmUser = async (event) => {
   try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
     const body = JSON.parse(event.body || '{}');
     const { email, phone_number } = body;
 
@@ -360,6 +1715,7 @@ export const adminConfirmUser = async (event) => {
     };
 
     await cognito.adminConfirmSignUp(params).promise();
+    await writeAuditLog(event, 'user.confirm', await resolveUserId(username), { username });
 
     return successResponse(200, {
       success: true,
@@ -389,6 +1745,159 @@ export const adminConfirmUser = async (event) => {
   }
 };
 
+/**
+ * Add or remove a user's role (Cognito group membership)
+ * Shared by assignRole and revokeRole
+ */
+const changeUserRole = async (event, action) => {
+  if (!hasRole(getCaller(event), 'admin')) {
+    return errorResponse(403, 'Admin access required');
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const { email, phone_number, role } = body;
+
+  // Validate inputs - either email or phone_number required
+  if ((!email && !phone_number) || !role) {
+    return errorResponse(400, 'Missing required fields: (email or phone_number), role');
+  }
+
+  if (email && phone_number) {
+    return errorResponse(400, 'Provide either email or phone_number, not both');
+  }
+
+  if (!ROLES.includes(role)) {
+    return errorResponse(400, `Invalid role. Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const userPoolId = process.env.USER_POOL_ID;
+
+  if (!userPoolId) {
+    console.error('USER_POOL_ID environment variable not set');
+    return errorResponse(500, 'Server configuration error');
+  }
+
+  const username = email || phone_number;
+  const params = {
+    UserPoolId: userPoolId,
+    Username: username,
+    GroupName: role
+  };
+
+  if (action === 'assign') {
+    await cognito.adminAddUserToGroup(params).promise();
+  } else {
+    await cognito.adminRemoveUserFromGroup(params).promise();
+  }
+
+  await writeAuditLog(event, `role.${action}`, await resolveUserId(username), { username, role });
+
+  return successResponse(200, {
+    success: true,
+    message: action === 'assign'
+      ? `Role ${role} assigned to ${username}. It applies from their next login or token refresh.`
+      : `Role ${role} revoked from ${username}. It applies from their next login or token refresh.`,
+    user: username,
+    role
+  });
+};
+
+/**
+ * Assign a role to a user
+ * POST /auth/admin/roles/assign
+ * Body: { (email or phone_number), role: 'artist' | 'recruiter' | 'admin' }
+ * Admin only
+ */
+export const assignRole = async (event) => {
+  try {
+    return await changeUserRole(event, 'assign');
+  } catch (error) {
+    console.error('AssignRole error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'ResourceNotFoundException') {
+      return errorResponse(404, 'Role not found');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Failed to assign role', error.message);
+  }
+};
+
+/**
+ * Revoke a role from a user
+ * POST /auth/admin/roles/revoke
+ * Body: { (email or phone_number), role: 'artist' | 'recruiter' | 'admin' }
+ * Admin only
+ */
+export const revokeRole = async (event) => {
+  try {
+    return await changeUserRole(event, 'revoke');
+  } catch (error) {
+    console.error('RevokeRole error:', error);
+
+    if (error.code === 'UserNotFoundException') {
+      return errorResponse(404, 'Email or phone number not registered');
+    }
+
+    if (error.code === 'ResourceNotFoundException') {
+      return errorResponse(404, 'Role not found');
+    }
+
+    if (error.code === 'InvalidParameterException') {
+      return errorResponse(400, 'Invalid parameters', error.message);
+    }
+
+    return errorResponse(500, 'Failed to revoke role', error.message);
+  }
+};
+
+/**
+ * Unlock an account locked out by failed login/OTP/reset attempts
+ * POST /auth/admin/unlock
+ * Body: { email or phone_number }
+ * Admin only - clears the account's failures in every scope
+ */
+export const adminUnlockUser = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { email, phone_number } = body;
+
+    // Validate inputs - either email or phone_number required
+    if (!email && !phone_number) {
+      return errorResponse(400, 'Missing required field: email or phone_number');
+    }
+
+    if (email && phone_number) {
+      return errorResponse(400, 'Provide either email or phone_number, not both');
+    }
+
+    const username = email || phone_number;
+
+    await clearFailures(SCOPES, username);
+    await writeAuditLog(event, 'user.unlock', await resolveUserId(username), { username });
+
+    return successResponse(200, {
+      success: true,
+      message: `User ${username} unlocked successfully`,
+      unlockedUser: username
+    });
+  } catch (error) {
+    console.error('AdminUnlockUser error:', error);
+    return errorResponse(500, 'Failed to unlock user', error.message);
+  }
+};
+
 /**
  * Initiate forgot password flow
  * POST /auth/forgot-password
@@ -410,12 +1919,21 @@ export const forgotPassword = async (event) => {
     }
 
     const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
+
+    const lockout = await checkLockout('password-reset', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
+    }
 
     const params = {
       ClientId: process.env.USER_POOL_CLIENT_ID,
       Username: username
     };
 
+    // Every code sent counts against the limit, not only wrong answers
+    await recordFailure('password-reset', username, sourceIp);
+
     const result = await cognito.forgotPassword(params).promise();
 
     return successResponse(200, {
@@ -471,24 +1989,19 @@ export const resetPassword = async (event) => {
     }
 
     // Validate password strength
-    if (newPassword.length < 8) {
-      return errorResponse(400, 'Password must be at least 8 characters');
-    }
-
-    if (!/[A-Z]/.test(newPassword)) {
-      return errorResponse(400, 'Password must contain at least one uppercase letter');
+    const passwordError = validatePasswordStrength(newPassword);
+    if (passwordError) {
+      return errorResponse(400, passwordError);
     }
 
-    if (!/[a-z]/.test(newPassword)) {
-      return errorResponse(400, 'Password must contain at least one lowercase letter');
-    }
+    const username = email || phone_number;
+    const sourceIp = event.requestContext?.http?.sourceIp;
 
-    if (!/[0-9]/.test(newPassword)) {
-      return errorResponse(400, 'Password must contain at least one number');
+    const lockout = await checkLockout('password-reset', username, sourceIp);
+    if (lockout.locked) {
+      return lockedOutResponse(lockout.retryAfter);
     }
 
-    const username = email || phone_number;
-
     const params = {
       ClientId: process.env.USER_POOL_CLIENT_ID,
       Username: username,
@@ -496,7 +2009,8 @@ export const resetPassword = async (event) => {
       Password: newPassword
     };
 
-    await cognito.confirmForgotPassword(params).promise();
+    await trackFailures('password-reset', username, sourceIp, cognito.confirmForgotPassword(params).promise());
+    await clearFailures('password-reset', username);
 
     return successResponse(200, {
       success: true,
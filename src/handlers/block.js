@@ -0,0 +1,267 @@
+import documentClient from '../utils/database.js';
+import { canModifyProfile } from '../utils/auth.js';
+import { getProfile, lockedProfileUpdate } from '../utils/profiles.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Validate required fields
+ */
+const validateRequiredFields = (data, requiredFields) => {
+  const missing = requiredFields.filter(field => !data[field]);
+  return missing.length === 0 ? null : missing;
+};
+
+/**
+ * Write both users' block lists in one transaction, each only if that user
+ * has not changed since it was read (see src/utils/profiles.js)
+ */
+const writeBoth = (userA, listsA, userB, listsB, now) => documentClient.transactWrite({
+  TransactItems: [
+    { Update: lockedProfileUpdate(userA, listsA, now) },
+    { Update: lockedProfileUpdate(userB, listsB, now) }
+  ]
+}).promise();
+
+/**
+ * Block a user
+ * POST /users/{userId}/blocks
+ * Body: { blockedUserId }
+ * Owner (or admin) only. Any connection or pending request between the two
+ * users is removed; neither can find, connect with or message the other,
+ * and the blocked user cannot apply to the blocker's jobs.
+ */
+export const blockUser = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { blockedUserId } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only manage your own blocks');
+    }
+
+    const missing = validateRequiredFields(body, ['blockedUserId']);
+    if (missing) {
+      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    if (blockedUserId === userId) {
+      return errorResponse(400, 'You cannot block yourself');
+    }
+
+    const user = await getProfile(userId);
+    const blocked = await getProfile(blockedUserId);
+
+    if (!user || !blocked) {
+      return errorResponse(404, 'User not found');
+    }
+
+    if ((user.blockedUsers || []).includes(blockedUserId)) {
+      return errorResponse(409, 'You have already blocked this user');
+    }
+
+    // Connections carry senderId/receiverId; pending request entries carry userId
+    const notWith = otherId => (entries = []) => entries.filter(entry =>
+      entry.userId !== otherId && entry.senderId !== otherId && entry.receiverId !== otherId
+    );
+    const notWithBlocked = notWith(blockedUserId);
+    const notWithUser = notWith(userId);
+    const connectionsRemoved = (user.connections || []).length - notWithBlocked(user.connections).length;
+
+    const now = new Date().toISOString();
+
+    try {
+      await writeBoth(
+        user,
+        {
+          blockedUsers: [...(user.blockedUsers || []), blockedUserId],
+          connections: notWithBlocked(user.connections),
+          requestSent: notWithBlocked(user.requestSent),
+          requestReceived: notWithBlocked(user.requestReceived)
+        },
+        blocked,
+        {
+          blockedBy: [...new Set([...(blocked.blockedBy || []), userId])],
+          connections: notWithUser(blocked.connections),
+          requestSent: notWithUser(blocked.requestSent),
+          requestReceived: notWithUser(blocked.requestReceived)
+        },
+        now
+      );
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return errorResponse(409, 'Profile was changed by another request. Please retry.');
+      }
+      throw error;
+    }
+
+    return successResponse(201, {
+      success: true,
+      message: 'User blocked',
+      blockedUserId,
+      connectionsRemoved
+    });
+  } catch (error) {
+    console.error('BlockUser error:', error);
+    return errorResponse(500, 'Failed to block user', error.message);
+  }
+};
+
+/**
+ * Unblock a user
+ * DELETE /users/{userId}/blocks/{blockedUserId}
+ * Owner (or admin) only. Removed connections are not restored.
+ */
+export const unblockUser = async (event) => {
+  try {
+    const { userId, blockedUserId } = event.pathParameters;
+
+    if (!userId || !blockedUserId) {
+      return errorResponse(400, 'Missing required parameters: userId, blockedUserId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only manage your own blocks');
+    }
+
+    const user = await getProfile(userId);
+
+    if (!user) {
+      return errorResponse(404, 'User not found');
+    }
+
+    if (!(user.blockedUsers || []).includes(blockedUserId)) {
+      return errorResponse(404, 'This user is not blocked');
+    }
+
+    const now = new Date().toISOString();
+    const blockedUsers = user.blockedUsers.filter(id => id !== blockedUserId);
+    const blocked = await getProfile(blockedUserId);
+
+    try {
+      if (blocked) {
+        await writeBoth(
+          user,
+          { blockedUsers },
+          blocked,
+          { blockedBy: (blocked.blockedBy || []).filter(id => id !== userId) },
+          now
+        );
+      } else {
+        // The blocked account has since been deleted
+        await documentClient.transactWrite({
+          TransactItems: [{ Update: lockedProfileUpdate(user, { blockedUsers }, now) }]
+        }).promise();
+      }
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return errorResponse(409, 'Profile was changed by another request. Please retry.');
+      }
+      throw error;
+    }
+
+    return successResponse(200, {
+      success: true,
+      message: 'User unblocked',
+      blockedUserId
+    });
+  } catch (error) {
+    console.error('UnblockUser error:', error);
+    return errorResponse(500, 'Failed to unblock user', error.message);
+  }
+};
+
+/**
+ * List the users a user has blocked
+ * GET /users/{userId}/blocks
+ * Owner (or admin) only. Returns each blocked user's card so they can be
+ * recognised and unblocked.
+ */
+export const listBlockedUsers = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only list your own blocks');
+    }
+
+    const user = await getProfile(userId);
+
+    if (!user) {
+      return errorResponse(404, 'User not found');
+    }
+
+    const blockedIds = user.blockedUsers || [];
+    let profiles = [];
+
+    // BatchGetItem accepts at most 100 keys per request
+    for (let i = 0; i < blockedIds.length; i += 100) {
+      const result = await documentClient.batchGet({
+        RequestItems: {
+          [USERS_TABLE]: {
+            Keys: blockedIds.slice(i, i + 100).map(id => ({ userId: id })),
+            ProjectionExpression: 'userId, username, basicDetails.fullName, basicDetails.avatarUrl'
+          }
+        }
+      }).promise();
+
+      profiles = profiles.concat(result.Responses[USERS_TABLE] || []);
+    }
+
+    const byId = Object.fromEntries(profiles.map(profile => [profile.userId, profile]));
+    const items = blockedIds.map(id => ({
+      userId: id,
+      username: byId[id]?.username || null,
+      fullName: byId[id]?.basicDetails?.fullName || null,
+      avatarUrl: byId[id]?.basicDetails?.avatarUrl || null
+    }));
+
+    return successResponse(200, {
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('ListBlockedUsers error:', error);
+    return errorResponse(500, 'Failed to list blocked users', error.message);
+  }
+};
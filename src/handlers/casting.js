@@ -1,5 +1,10 @@
 import AWS from 'aws-sdk';
 import { v4 as uuidv4 } from 'uuid';
+import { getCaller, hasRole } from '../utils/auth.js';
+import { isBlockedBetween } from '../utils/blocks.js';
+import { cancellationReasons } from '../utils/database.js';
+import { getEntitlements, limitDetails, useAllowanceItem } from '../utils/plans.js';
+import { getProfile } from '../utils/profiles.js';
 
 const documentClient = new AWS.DynamoDB.DocumentClient({
   region: process.env.REGION || 'ap-south-1',
@@ -10,6 +15,7 @@ const documentClient = new AWS.DynamoDB.DocumentClient({
 });
 
 const CASTING_TABLE = process.env.CASTING_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
 
 /**
  * Success response helper
@@ -49,16 +55,41 @@ const validateRequiredFields = (data, requiredFields) => {
   return missing.length === 0 ? null : missing;
 };
 
+/**
+ * Whether the caller may edit a job: its recruiter or an admin
+ */
+const canManageJob = (caller, job) => job.userId === caller.userId || hasRole(caller, 'admin');
+
+/**
+ * Job fields that change only through their own endpoints
+ */
+const MANAGED_JOB_FIELDS = {
+  appliedBy: 'POST /casting/{jobId}/apply',
+  applicationStatus: 'PUT /casting/{jobId}/applications/{userId}',
+  view: 'PUT /casting/{jobId}/view',
+  recruiter: 'nothing - it is set when the job is created',
+  verified: 'PUT /casting/{jobId}/verify',
+  documents: 'the /casting/{jobId}/documents endpoints'
+};
+
 /**
  * Create a new casting job
  * POST /casting
- * Body: { userId, jobTitle, jobDescription, jobCategory, jobType, jobLocation, ... }
+ * Body: { jobTitle, jobDescription, jobCategory, jobType, jobLocation, ... }
+ * Recruiter only - the job is owned by the calling recruiter
+ * Note: Counts against the recruiter's monthly job posts (monthlyJobPosts)
  */
 export const createJob = async (event) => {
   try {
+    const caller = getCaller(event);
+
+    if (!hasRole(caller, 'recruiter')) {
+      return errorResponse(403, 'Recruiter access required');
+    }
+
+    const userId = caller.userId;
     const body = JSON.parse(event.body || '{}');
     const {
-      userId,
       jobTitle,
       jobDescription,
       jobCategory,
@@ -73,7 +104,7 @@ export const createJob = async (event) => {
     } = body;
 
     // Validate required fields
-    const missing = validateRequiredFields(body, ['userId', 'jobTitle', 'jobDescription', 'jobCategory', 'jobType']);
+    const missing = validateRequiredFields(body, ['jobTitle', 'jobDescription', 'jobCategory', 'jobType']);
     if (missing) {
       return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
     }
@@ -117,13 +148,37 @@ export const createJob = async (event) => {
       updatedAt: now
     };
 
-    const params = {
-      TableName: CASTING_TABLE,
-      Item: job,
-      ConditionExpression: 'attribute_not_exists(jobId)'
-    };
-
-    await documentClient.put(params).promise();
+    const { monthlyJobPosts } = getEntitlements(caller.plan);
+
+    try {
+      // The post and its use of the monthly allowance are written together
+      await documentClient.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              TableName: CASTING_TABLE,
+              Item: job,
+              ConditionExpression: 'attribute_not_exists(jobId)'
+            }
+          },
+          useAllowanceItem(userId, 'jobPosts', monthlyJobPosts, now)
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        const [jobReason, allowanceReason] = cancellationReasons(error);
+
+        if (jobReason === 'ConditionalCheckFailed') {
+          return errorResponse(409, 'Job already exists');
+        }
+
+        if (allowanceReason === 'ConditionalCheckFailed') {
+          return errorResponse(403, 'Monthly job post limit reached for your plan',
+            limitDetails(caller.plan, 'monthlyJobPosts', now));
+        }
+      }
+      throw error;
+    }
 
     return successResponse(201, {
       success: true,
@@ -132,11 +187,6 @@ export const createJob = async (event) => {
     });
   } catch (error) {
     console.error('CreateJob error:', error);
-
-    if (error.code === 'ConditionalCheckFailedException') {
-      return errorResponse(409, 'Job already exists');
-    }
-
     return errorResponse(500, 'Failed to create job', error.message);
   }
 };
@@ -219,6 +269,8 @@ export const listJobs = async (event) => {
  * Update casting job
  * PUT /casting/{jobId}
  * Body: { jobTitle, jobDescription, jobCategory, jobType, ... }
+ * The job's recruiter or an admin only. Fields in MANAGED_JOB_FIELDS are
+ * rejected - they change only through their own endpoints.
  */
 export const updateJob = async (event) => {
   try {
@@ -239,6 +291,16 @@ export const updateJob = async (event) => {
       return errorResponse(404, 'Job not found');
     }
 
+    if (!canManageJob(getCaller(event), existingJob.Item)) {
+      return errorResponse(403, 'You can only update your own jobs');
+    }
+
+    const managed = Object.keys(body).filter(field => MANAGED_JOB_FIELDS[field]);
+    if (managed.length > 0) {
+      return errorResponse(400, `Fields cannot be updated here: ${managed.join(', ')}`,
+        Object.fromEntries(managed.map(field => [field, `Changed via ${MANAGED_JOB_FIELDS[field]}`])));
+    }
+
     const now = new Date().toISOString();
     const updateExpressions = [];
     const expressionAttributeNames = {};
@@ -247,9 +309,8 @@ export const updateJob = async (event) => {
     // Build dynamic update expression
     const updateableFields = [
       'jobTitle', 'jobDescription', 'jobCategory', 'jobType', 'jobLocation',
-      'tags', 'view', 'verified', 'isExpired', 'isCollab', 'isWishlisted',
-      'imageUrl', 'expiryDate', 'applicationStatus', 'appliedBy', 'recruiter',
-      'requirements', 'documents'
+      'tags', 'isExpired', 'isCollab', 'isWishlisted',
+      'imageUrl', 'expiryDate', 'requirements'
     ];
 
     updateableFields.forEach(field => {
@@ -260,15 +321,15 @@ export const updateJob = async (event) => {
       }
     });
 
+    if (updateExpressions.length === 0) {
+      return errorResponse(400, 'No fields to update');
+    }
+
     // Always update updatedAt
     updateExpressions.push('#updatedAt = :updatedAt');
     expressionAttributeNames['#updatedAt'] = 'updatedAt';
     expressionAttributeValues[':updatedAt'] = now;
 
-    if (updateExpressions.length === 0) {
-      return errorResponse(400, 'No fields to update');
-    }
-
     const params = {
       TableName: CASTING_TABLE,
       Key: { jobId },
@@ -294,6 +355,7 @@ export const updateJob = async (event) => {
 /**
  * Delete casting job
  * DELETE /casting/{jobId}
+ * The job's recruiter or an admin only
  */
 export const deleteJob = async (event) => {
   try {
@@ -313,6 +375,10 @@ export const deleteJob = async (event) => {
       return errorResponse(404, 'Job not found');
     }
 
+    if (!canManageJob(getCaller(event), existingJob.Item)) {
+      return errorResponse(403, 'You can only delete your own jobs');
+    }
+
     const params = {
       TableName: CASTING_TABLE,
       Key: { jobId }
@@ -332,35 +398,112 @@ export const deleteJob = async (event) => {
 };
 
 /**
- * Apply for a casting job
- * POST /casting/{jobId}/apply
- * Body: { userId, avatarUrl }
+ * Verify or unverify a casting job
+ * PUT /casting/{jobId}/verify
+ * Body: { verified } (defaults to true)
+ * Admin only
  */
-export const applyForJob = async (event) => {
+export const verifyJob = async (event) => {
   try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
     const { jobId } = event.pathParameters;
     const body = JSON.parse(event.body || '{}');
-    const { userId, avatarUrl } = body;
+    const { verified = true } = body;
 
     if (!jobId) {
       return errorResponse(400, 'Missing required parameter: jobId');
     }
 
-    const missing = validateRequiredFields(body, ['userId']);
-    if (missing) {
-      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
+    if (typeof verified !== 'boolean') {
+      return errorResponse(400, 'Invalid verified value. Must be true or false');
     }
 
-    // Check if job exists
+    const params = {
+      TableName: CASTING_TABLE,
+      Key: { jobId },
+      UpdateExpression: 'SET #verified = :verified, #updatedAt = :now',
+      ConditionExpression: 'attribute_exists(jobId)',
+      ExpressionAttributeNames: {
+        '#verified': 'verified',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ':verified': verified,
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    };
+
+    const result = await documentClient.update(params).promise();
+
+    return successResponse(200, {
+      success: true,
+      message: verified ? 'Job verified' : 'Job verification removed',
+      job: result.Attributes
+    });
+  } catch (error) {
+    console.error('VerifyJob error:', error);
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return errorResponse(404, 'Job not found');
+    }
+
+    return errorResponse(500, 'Failed to verify job', error.message);
+  }
+};
+
+/**
+ * Apply for a casting job
+ * POST /casting/{jobId}/apply
+ * Body: { avatarUrl }
+ * Note: The signed-in caller is the applicant. Users blocked by the job's
+ * poster (or who blocked them) cannot apply. Counts against the applicant's
+ * monthly job applications (monthlyJobApplications).
+ */
+export const applyForJob = async (event) => {
+  try {
+    const { jobId } = event.pathParameters;
+    const { avatarUrl } = JSON.parse(event.body || '{}');
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can apply for a job');
+    }
+
+    const { userId } = caller;
+
+    if (!jobId) {
+      return errorResponse(400, 'Missing required parameter: jobId');
+    }
+
+    // Check if job exists. Consistent, as the write is conditional on updatedAt
     const existingJob = await documentClient.get({
       TableName: CASTING_TABLE,
-      Key: { jobId }
+      Key: { jobId },
+      ConsistentRead: true
     }).promise();
 
     if (!existingJob.Item) {
       return errorResponse(404, 'Job not found');
     }
 
+    const applicant = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'blockedUsers, blockedBy'
+    }).promise();
+
+    if (!applicant.Item) {
+      return errorResponse(404, 'User not found');
+    }
+
+    if (isBlockedBetween(applicant.Item, existingJob.Item.userId)) {
+      return errorResponse(403, 'You cannot apply for this job');
+    }
+
     // Check if user already applied
     const alreadyApplied = existingJob.Item.appliedBy?.some(app => app.userId === userId);
     if (alreadyApplied) {
@@ -374,29 +517,96 @@ export const applyForJob = async (event) => {
       avatarUrl: avatarUrl || ''
     };
 
-    const params = {
-      TableName: CASTING_TABLE,
-      Key: { jobId },
-      UpdateExpression: 'SET #appliedBy = list_append(if_not_exists(#appliedBy, :empty), :application), #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#appliedBy': 'appliedBy',
-        '#updatedAt': 'updatedAt'
-      },
-      ExpressionAttributeValues: {
-        ':empty': [],
-        ':application': [newApplication],
-        ':now': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
-    };
+    const now = new Date().toISOString();
+    // The signed-in caller's plan, from the authorizer (not cached)
+    const { monthlyJobApplications } = getEntitlements(caller.plan);
+
+    const expectedUpdatedAt = existingJob.Item.updatedAt;
+
+    try {
+      // The application, its use of the monthly allowance and its entry in the
+      // applicant's appliedJobs (how account deletion finds it) are written together.
+      // The job must not have changed since appliedBy was checked, and the
+      // applicant and poster must still not have blocked each other.
+      await documentClient.transactWrite({
+        TransactItems: [
+          {
+            Update: {
+              TableName: CASTING_TABLE,
+              Key: { jobId },
+              UpdateExpression: 'SET #appliedBy = list_append(if_not_exists(#appliedBy, :empty), :application), #updatedAt = :now',
+              ConditionExpression: expectedUpdatedAt
+                ? '#updatedAt = :expectedUpdatedAt'
+                : 'attribute_exists(jobId) AND attribute_not_exists(#updatedAt)',
+              ExpressionAttributeNames: {
+                '#appliedBy': 'appliedBy',
+                '#updatedAt': 'updatedAt'
+              },
+              ExpressionAttributeValues: {
+                ':empty': [],
+                ':application': [newApplication],
+                ':now': now,
+                ...(expectedUpdatedAt && { ':expectedUpdatedAt': expectedUpdatedAt })
+              }
+            }
+          },
+          useAllowanceItem(userId, 'jobApplications', monthlyJobApplications, now),
+          {
+            Update: {
+              TableName: USERS_TABLE,
+              Key: { userId },
+              UpdateExpression: 'SET #appliedJobs = list_append(if_not_exists(#appliedJobs, :empty), :appliedJob)',
+              ConditionExpression: 'attribute_exists(userId) AND ' +
+                'NOT contains(#blockedUsers, :posterId) AND NOT contains(#blockedBy, :posterId)',
+              ExpressionAttributeNames: {
+                '#appliedJobs': 'appliedJobs',
+                '#blockedUsers': 'blockedUsers',
+                '#blockedBy': 'blockedBy'
+              },
+              ExpressionAttributeValues: {
+                ':empty': [],
+                ':appliedJob': [{ appId, jobId, avatarUrl: newApplication.avatarUrl }],
+                ':posterId': existingJob.Item.userId
+              }
+            }
+          }
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        const [jobReason, allowanceReason, profileReason] = cancellationReasons(error);
+
+        // Deleted, or changed by another request - possibly the same
+        // applicant applying twice at once
+        if (jobReason === 'ConditionalCheckFailed') {
+          return errorResponse(409, 'Job was changed by another request. Please retry.');
+        }
+
+        if (profileReason === 'ConditionalCheckFailed') {
+          return await getProfile(userId)
+            ? errorResponse(403, 'You cannot apply for this job')
+            : errorResponse(404, 'User not found');
+        }
+
+        if (allowanceReason === 'ConditionalCheckFailed') {
+          return errorResponse(403, 'Monthly job application limit reached for your plan',
+            limitDetails(caller.plan, 'monthlyJobApplications', now));
+        }
+      }
+      throw error;
+    }
 
-    const result = await documentClient.update(params).promise();
+    // Transactions cannot return the updated item
+    const result = await documentClient.get({
+      TableName: CASTING_TABLE,
+      Key: { jobId }
+    }).promise();
 
     return successResponse(201, {
       success: true,
       message: 'Application submitted successfully',
       application: newApplication,
-      job: result.Attributes
+      job: result.Item
     });
   } catch (error) {
     console.error('ApplyForJob error:', error);
@@ -443,9 +653,16 @@ export const getJobApplications = async (event) => {
  * Update application status
  * PUT /casting/{jobId}/applications/{userId}
  * Body: { status } (1 = Applied, 2 = Shortlisted)
+ * Recruiter only - and only for the recruiter's own jobs
  */
 export const updateApplicationStatus = async (event) => {
   try {
+    const caller = getCaller(event);
+
+    if (!hasRole(caller, 'recruiter')) {
+      return errorResponse(403, 'Recruiter access required');
+    }
+
     const { jobId, userId } = event.pathParameters;
     const body = JSON.parse(event.body || '{}');
     const { status } = body;
@@ -468,6 +685,10 @@ export const updateApplicationStatus = async (event) => {
       return errorResponse(404, 'Job not found');
     }
 
+    if (job.Item.userId !== caller.userId) {
+      return errorResponse(403, 'You can only manage applications for your own jobs');
+    }
+
     // Find and update the application
     const appliedBy = job.Item.appliedBy || [];
     const appIndex = appliedBy.findIndex(app => app.userId === userId);
@@ -552,6 +773,7 @@ export const incrementJobView = async (event) => {
  * Add document to casting job
  * POST /casting/{jobId}/documents
  * Body: { url, type }
+ * The job's recruiter or an admin only
  */
 export const addDocument = async (event) => {
   try {
@@ -583,6 +805,10 @@ export const addDocument = async (event) => {
       return errorResponse(404, 'Job not found');
     }
 
+    if (!canManageJob(getCaller(event), existingJob.Item)) {
+      return errorResponse(403, 'You can only add documents to your own jobs');
+    }
+
     const docId = uuidv4();
     const newDocument = {
       id: docId,
@@ -623,6 +849,7 @@ export const addDocument = async (event) => {
 /**
  * Remove document from casting job
  * DELETE /casting/{jobId}/documents/{docId}
+ * The job's recruiter or an admin only
  */
 export const removeDocument = async (event) => {
   try {
@@ -642,6 +869,10 @@ export const removeDocument = async (event) => {
       return errorResponse(404, 'Job not found');
     }
 
+    if (!canManageJob(getCaller(event), job.Item)) {
+      return errorResponse(403, 'You can only remove documents from your own jobs');
+    }
+
     // Filter out the document
     const documents = (job.Item.documents || []).filter(doc => doc.id !== docId);
 
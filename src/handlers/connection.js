@@ -0,0 +1,439 @@
+import { v4 as uuidv4 } from 'uuid';
+import documentClient from '../utils/database.js';
+import { canModifyProfile } from '../utils/auth.js';
+import { isBlockedBetween } from '../utils/blocks.js';
+import { errorHandler, httpError } from '../utils/errors.js';
+import { getProfile, lockedProfileUpdate } from '../utils/profiles.js';
+
+const CONNECTION_STATUSES = ['pending', 'connected', 'rejected'];
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Validate required fields
+ */
+const validateRequiredFields = (data, requiredFields) => {
+  const missing = requiredFields.filter(field => !data[field]);
+  return missing.length === 0 ? null : missing;
+};
+
+/**
+ * Write both users' lists in one transaction, each only if that user has not
+ * changed since it was read (see src/utils/profiles.js)
+ */
+const writeBoth = async (userA, listsA, userB, listsB, now) => {
+  try {
+    await documentClient.transactWrite({
+      TransactItems: [
+        { Update: lockedProfileUpdate(userA, listsA, now) },
+        { Update: lockedProfileUpdate(userB, listsB, now) }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      throw httpError(409, 'Connection was changed by another request. Please retry.');
+    }
+    throw error;
+  }
+};
+
+const withoutConnection = (entries = [], connectionId) => entries.filter(entry => entry.connectionId !== connectionId);
+
+/**
+ * Load both sides of an existing connection, as seen from the acting user
+ * Returns { user, other, connection }
+ */
+const loadConnection = async (userId, connectionId) => {
+  const user = await getProfile(userId);
+
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+
+  const connection = (user.connections || []).find(entry => entry.connectionId === connectionId);
+
+  if (!connection) {
+    throw httpError(404, 'Connection not found');
+  }
+
+  const otherId = connection.senderId === userId ? connection.receiverId : connection.senderId;
+  const other = await getProfile(otherId);
+
+  if (!other) {
+    throw httpError(404, 'Connected user no longer exists');
+  }
+
+  return { user, other, connection };
+};
+
+/**
+ * Replace a connection's status on both users and clear the pending request
+ */
+const resolveRequest = async (userId, connectionId, status) => {
+  const { user, other, connection } = await loadConnection(userId, connectionId);
+
+  if (connection.receiverId !== userId) {
+    throw httpError(403, 'Only the receiver can respond to a connection request');
+  }
+
+  if (connection.connectionStatus !== 'pending') {
+    throw httpError(409, `Connection is already ${connection.connectionStatus}`);
+  }
+
+  const now = new Date().toISOString();
+  const updated = {
+    ...connection,
+    connectionStatus: status,
+    ...(status === 'connected' && { connectedAt: now }),
+    updatedAt: now
+  };
+
+  const replace = (entries = []) => entries.map(entry => (entry.connectionId === connectionId ? updated : entry));
+
+  // user is the receiver, other is the sender
+  await writeBoth(
+    user,
+    {
+      connections: replace(user.connections),
+      requestReceived: withoutConnection(user.requestReceived, connectionId)
+    },
+    other,
+    {
+      connections: replace(other.connections),
+      requestSent: withoutConnection(other.requestSent, connectionId)
+    },
+    now
+  );
+
+  return updated;
+};
+
+/**
+ * Map errors from the shared logic to responses
+ */
+const handleError = errorHandler(errorResponse);
+
+/**
+ * Send a connection request
+ * POST /users/{userId}/connections
+ * Body: { receiverId }
+ * Sender (or admin) only - adds a pending connection to both users, plus
+ * requestSent on the sender and requestReceived on the receiver
+ */
+export const sendRequest = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { receiverId } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only send requests from your own profile');
+    }
+
+    const missing = validateRequiredFields(body, ['receiverId']);
+    if (missing) {
+      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    if (receiverId === userId) {
+      return errorResponse(400, 'You cannot connect with yourself');
+    }
+
+    const sender = await getProfile(userId);
+    const receiver = await getProfile(receiverId);
+
+    if (!sender || !receiver) {
+      return errorResponse(404, 'User not found');
+    }
+
+    if (isBlockedBetween(sender, receiverId)) {
+      return errorResponse(403, 'You cannot connect with this user');
+    }
+
+    // A previously rejected request may be sent again; anything else is a duplicate
+    const between = entry =>
+      (entry.senderId === userId && entry.receiverId === receiverId) ||
+      (entry.senderId === receiverId && entry.receiverId === userId);
+    const existing = (sender.connections || []).find(between) || (receiver.connections || []).find(between);
+
+    if (existing && existing.connectionStatus !== 'rejected') {
+      return errorResponse(409, existing.connectionStatus === 'connected'
+        ? 'You are already connected with this user'
+        : 'A connection request between you is already pending');
+    }
+
+    const now = new Date().toISOString();
+    const connectionId = uuidv4();
+    const chatId = existing?.chatId || uuidv4();
+
+    const connection = {
+      connectionId,
+      senderId: userId,
+      receiverId,
+      chatId,
+      connectionStatus: 'pending',
+      connectedAt: null,
+      requestedAt: now,
+      updatedAt: now
+    };
+
+    const staleId = existing?.connectionId;
+
+    await writeBoth(
+      sender,
+      {
+        connections: [...withoutConnection(sender.connections, staleId), connection],
+        requestSent: [...(sender.requestSent || []), { connectionId, userId: receiverId, chatId }]
+      },
+      receiver,
+      {
+        connections: [...withoutConnection(receiver.connections, staleId), connection],
+        requestReceived: [...(receiver.requestReceived || []), { connectionId, userId, chatId }]
+      },
+      now
+    );
+
+    return successResponse(201, {
+      success: true,
+      message: 'Connection request sent',
+      connection
+    });
+  } catch (error) {
+    return handleError('SendConnectionRequest', error, 'Failed to send connection request');
+  }
+};
+
+/**
+ * Accept a connection request
+ * POST /users/{userId}/connections/{connectionId}/accept
+ * Receiver (or admin) only
+ */
+export const acceptRequest = async (event) => {
+  try {
+    const { userId, connectionId } = event.pathParameters;
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only respond to your own requests');
+    }
+
+    const connection = await resolveRequest(userId, connectionId, 'connected');
+
+    return successResponse(200, {
+      success: true,
+      message: 'Connection request accepted',
+      connection
+    });
+  } catch (error) {
+    return handleError('AcceptConnectionRequest', error, 'Failed to accept connection request');
+  }
+};
+
+/**
+ * Reject a connection request
+ * POST /users/{userId}/connections/{connectionId}/reject
+ * Receiver (or admin) only - the sender may send a new request later
+ */
+export const rejectRequest = async (event) => {
+  try {
+    const { userId, connectionId } = event.pathParameters;
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only respond to your own requests');
+    }
+
+    const connection = await resolveRequest(userId, connectionId, 'rejected');
+
+    return successResponse(200, {
+      success: true,
+      message: 'Connection request rejected',
+      connection
+    });
+  } catch (error) {
+    return handleError('RejectConnectionRequest', error, 'Failed to reject connection request');
+  }
+};
+
+/**
+ * Withdraw a pending connection request
+ * POST /users/{userId}/connections/{connectionId}/withdraw
+ * Sender (or admin) only - removes the request from both users
+ */
+export const withdrawRequest = async (event) => {
+  try {
+    const { userId, connectionId } = event.pathParameters;
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only withdraw your own requests');
+    }
+
+    const { user, other, connection } = await loadConnection(userId, connectionId);
+
+    if (connection.senderId !== userId) {
+      return errorResponse(403, 'Only the sender can withdraw a connection request');
+    }
+
+    if (connection.connectionStatus !== 'pending') {
+      return errorResponse(409, `Connection is already ${connection.connectionStatus}`);
+    }
+
+    await writeBoth(
+      user,
+      {
+        connections: withoutConnection(user.connections, connectionId),
+        requestSent: withoutConnection(user.requestSent, connectionId)
+      },
+      other,
+      {
+        connections: withoutConnection(other.connections, connectionId),
+        requestReceived: withoutConnection(other.requestReceived, connectionId)
+      },
+      new Date().toISOString()
+    );
+
+    return successResponse(200, {
+      success: true,
+      message: 'Connection request withdrawn',
+      connectionId
+    });
+  } catch (error) {
+    return handleError('WithdrawConnectionRequest', error, 'Failed to withdraw connection request');
+  }
+};
+
+/**
+ * Remove an accepted connection
+ * DELETE /users/{userId}/connections/{connectionId}
+ * Either side (or admin) - removes the connection from both users
+ */
+export const removeConnection = async (event) => {
+  try {
+    const { userId, connectionId } = event.pathParameters;
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only remove your own connections');
+    }
+
+    const { user, other, connection } = await loadConnection(userId, connectionId);
+
+    if (connection.connectionStatus !== 'connected') {
+      return errorResponse(409, 'Only accepted connections can be removed. Withdraw or reject pending requests instead.');
+    }
+
+    await writeBoth(
+      user,
+      { connections: withoutConnection(user.connections, connectionId) },
+      other,
+      { connections: withoutConnection(other.connections, connectionId) },
+      new Date().toISOString()
+    );
+
+    return successResponse(200, {
+      success: true,
+      message: 'Connection removed',
+      connectionId
+    });
+  } catch (error) {
+    return handleError('RemoveConnection', error, 'Failed to remove connection');
+  }
+};
+
+/**
+ * List a user's connections
+ * GET /users/{userId}/connections?status=pending|connected|rejected&limit=20&cursor={cursor}
+ * Owner (or admin) only. Newest first; each entry carries `direction`
+ * ('sent' | 'received') and `otherUserId`.
+ */
+export const listConnections = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const { status, cursor } = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit, 10) || 20, 100);
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only list your own connections');
+    }
+
+    if (status && !CONNECTION_STATUSES.includes(status)) {
+      return errorResponse(400, `Invalid status. Must be one of: ${CONNECTION_STATUSES.join(', ')}`);
+    }
+
+    const user = await getProfile(userId);
+
+    if (!user) {
+      return errorResponse(404, 'User not found');
+    }
+
+    const connections = (user.connections || [])
+      .filter(connection => !status || connection.connectionStatus === status)
+      .map(connection => ({
+        ...connection,
+        direction: connection.senderId === userId ? 'sent' : 'received',
+        otherUserId: connection.senderId === userId ? connection.receiverId : connection.senderId
+      }))
+      .sort((a, b) => (b.updatedAt || b.connectedAt || '').localeCompare(a.updatedAt || a.connectedAt || ''));
+
+    // The cursor is the connectionId of the last item on the previous page
+    let start = 0;
+    if (cursor) {
+      const lastId = Buffer.from(cursor, 'base64').toString();
+      const index = connections.findIndex(connection => connection.connectionId === lastId);
+
+      if (index === -1) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+      start = index + 1;
+    }
+
+    const items = connections.slice(start, start + limit);
+    const hasMore = start + limit < connections.length;
+
+    return successResponse(200, {
+      success: true,
+      items,
+      count: items.length,
+      total: connections.length,
+      cursor: hasMore
+        ? Buffer.from(items[items.length - 1].connectionId).toString('base64')
+        : null
+    });
+  } catch (error) {
+    console.error('ListConnections error:', error);
+    return errorResponse(500, 'Failed to list connections', error.message);
+  }
+};
@@ -0,0 +1,397 @@
+import { v4 as uuidv4 } from 'uuid';
+import documentClient, { decodeCursor, encodeCursor } from '../utils/database.js';
+import { getCaller } from '../utils/auth.js';
+import { isBlockedBetween } from '../utils/blocks.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const MESSAGES_TABLE = process.env.MESSAGES_TABLE;
+const CONVERSATIONS_TABLE = process.env.CONVERSATIONS_TABLE;
+
+const MAX_MESSAGE_LENGTH = 2000;
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Find the caller's accepted connection that owns a chat
+ * Returns { otherUserId } or null if the caller is not connected on this chat,
+ * or either user has blocked the other
+ */
+const getChatConnection = async (userId, chatId) => {
+  const result = await documentClient.get({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    ProjectionExpression: 'connections, blockedUsers, blockedBy'
+  }).promise();
+
+  const user = result.Item || {};
+  const connection = (user.connections || []).find(entry =>
+    entry.chatId === chatId && entry.connectionStatus === 'connected'
+  );
+
+  if (!connection) {
+    return null;
+  }
+
+  const otherUserId = connection.senderId === userId ? connection.receiverId : connection.senderId;
+
+  return isBlockedBetween(user, otherUserId) ? null : { otherUserId };
+};
+
+/**
+ * A user's inbox entry for a chat
+ */
+const getConversation = async (userId, chatId) => {
+  const result = await documentClient.get({
+    TableName: CONVERSATIONS_TABLE,
+    Key: { userId, chatId }
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Total unread messages across all of a user's conversations
+ */
+const countUnread = async (userId) => {
+  let total = 0;
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: CONVERSATIONS_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: '#unreadCount > :zero',
+      ProjectionExpression: '#unreadCount',
+      ExpressionAttributeNames: { '#unreadCount': 'unreadCount' },
+      ExpressionAttributeValues: { ':userId': userId, ':zero': 0 },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    total += result.Items.reduce((sum, conversation) => sum + conversation.unreadCount, 0);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return total;
+};
+
+/**
+ * Send a message
+ * POST /chats/{chatId}/messages
+ * Body: { text }
+ * Only the two users of an accepted connection can message on its chatId
+ */
+export const sendMessage = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can use messaging');
+    }
+
+    const userId = caller.userId;
+    const { chatId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+
+    if (!chatId) {
+      return errorResponse(400, 'Missing required parameter: chatId');
+    }
+
+    if (!text) {
+      return errorResponse(400, 'Missing required field: text');
+    }
+
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return errorResponse(400, `Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const connection = await getChatConnection(userId, chatId);
+
+    if (!connection) {
+      return errorResponse(403, 'You can only message users you are connected with');
+    }
+
+    const sentAt = new Date().toISOString();
+    const messageId = uuidv4();
+    const message = {
+      chatId,
+      messageKey: `${sentAt}#${messageId}`,
+      messageId,
+      senderId: userId,
+      recipientId: connection.otherUserId,
+      text,
+      sentAt
+    };
+
+    const lastMessage = {
+      messageId,
+      senderId: userId,
+      preview: text.slice(0, PREVIEW_LENGTH),
+      sentAt
+    };
+
+    await documentClient.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: MESSAGES_TABLE,
+            Item: message
+          }
+        },
+        {
+          // Sending marks the conversation read for the sender
+          Update: {
+            TableName: CONVERSATIONS_TABLE,
+            Key: { userId, chatId },
+            UpdateExpression: 'SET #otherUserId = :otherUserId, #lastMessage = :lastMessage, #lastMessageAt = :sentAt, #lastReadAt = :sentAt, #unreadCount = :zero',
+            ExpressionAttributeNames: {
+              '#otherUserId': 'otherUserId',
+              '#lastMessage': 'lastMessage',
+              '#lastMessageAt': 'lastMessageAt',
+              '#lastReadAt': 'lastReadAt',
+              '#unreadCount': 'unreadCount'
+            },
+            ExpressionAttributeValues: {
+              ':otherUserId': connection.otherUserId,
+              ':lastMessage': lastMessage,
+              ':sentAt': sentAt,
+              ':zero': 0
+            }
+          }
+        },
+        {
+          Update: {
+            TableName: CONVERSATIONS_TABLE,
+            Key: { userId: connection.otherUserId, chatId },
+            UpdateExpression: 'SET #otherUserId = :otherUserId, #lastMessage = :lastMessage, #lastMessageAt = :sentAt ADD #unreadCount :one',
+            ExpressionAttributeNames: {
+              '#otherUserId': 'otherUserId',
+              '#lastMessage': 'lastMessage',
+              '#lastMessageAt': 'lastMessageAt',
+              '#unreadCount': 'unreadCount'
+            },
+            ExpressionAttributeValues: {
+              ':otherUserId': userId,
+              ':lastMessage': lastMessage,
+              ':sentAt': sentAt,
+              ':one': 1
+            }
+          }
+        }
+      ]
+    }).promise();
+
+    return successResponse(201, {
+      success: true,
+      message: 'Message sent',
+      chatMessage: message
+    });
+  } catch (error) {
+    console.error('SendMessage error:', error);
+    return errorResponse(500, 'Failed to send message', error.message);
+  }
+};
+
+/**
+ * List messages in a chat, newest first
+ * GET /chats/{chatId}/messages?limit=20&cursor={cursor}
+ * Note: Messages sent by the caller carry `read` - whether the other user
+ * has read up to them. History stays readable after a connection is removed.
+ */
+export const listMessages = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can use messaging');
+    }
+
+    const userId = caller.userId;
+    const { chatId } = event.pathParameters;
+    const { cursor } = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit, 10) || 20, 100);
+
+    if (!chatId) {
+      return errorResponse(400, 'Missing required parameter: chatId');
+    }
+
+    const conversation = await getConversation(userId, chatId);
+    const connection = conversation ? null : await getChatConnection(userId, chatId);
+
+    if (!conversation && !connection) {
+      return errorResponse(403, 'You are not part of this chat');
+    }
+
+    const otherUserId = conversation?.otherUserId || connection.otherUserId;
+
+    let exclusiveStartKey;
+    if (cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(cursor);
+      } catch (error) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+    }
+
+    const result = await documentClient.query({
+      TableName: MESSAGES_TABLE,
+      KeyConditionExpression: 'chatId = :chatId',
+      ExpressionAttributeValues: { ':chatId': chatId },
+      ScanIndexForward: false,
+      Limit: limit,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+    }).promise();
+
+    const otherConversation = await getConversation(otherUserId, chatId);
+    const otherLastReadAt = otherConversation?.lastReadAt || null;
+
+    const items = result.Items.map(message => (
+      message.senderId === userId
+        ? { ...message, read: Boolean(otherLastReadAt && message.sentAt <= otherLastReadAt) }
+        : message
+    ));
+
+    return successResponse(200, {
+      success: true,
+      items,
+      count: items.length,
+      otherUserId,
+      otherLastReadAt,
+      cursor: encodeCursor(result.LastEvaluatedKey)
+    });
+  } catch (error) {
+    console.error('ListMessages error:', error);
+    return errorResponse(500, 'Failed to list messages', error.message);
+  }
+};
+
+/**
+ * Mark a chat as read
+ * POST /chats/{chatId}/read
+ * Resets the caller's unread count; the sender sees their messages as read
+ */
+export const markChatRead = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can use messaging');
+    }
+
+    const userId = caller.userId;
+    const { chatId } = event.pathParameters;
+
+    if (!chatId) {
+      return errorResponse(400, 'Missing required parameter: chatId');
+    }
+
+    const readAt = new Date().toISOString();
+
+    const result = await documentClient.update({
+      TableName: CONVERSATIONS_TABLE,
+      Key: { userId, chatId },
+      UpdateExpression: 'SET #lastReadAt = :readAt, #unreadCount = :zero',
+      ConditionExpression: 'attribute_exists(chatId)',
+      ExpressionAttributeNames: {
+        '#lastReadAt': 'lastReadAt',
+        '#unreadCount': 'unreadCount'
+      },
+      ExpressionAttributeValues: {
+        ':readAt': readAt,
+        ':zero': 0
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return successResponse(200, {
+      success: true,
+      message: 'Chat marked as read',
+      conversation: result.Attributes
+    });
+  } catch (error) {
+    console.error('MarkChatRead error:', error);
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return errorResponse(404, 'Conversation not found');
+    }
+
+    return errorResponse(500, 'Failed to mark chat as read', error.message);
+  }
+};
+
+/**
+ * List the caller's conversations, most recent message first
+ * GET /me/conversations?limit=20&cursor={cursor}
+ */
+export const listConversations = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can use messaging');
+    }
+
+    const userId = caller.userId;
+    const { cursor } = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit, 10) || 20, 100);
+
+    let exclusiveStartKey;
+    if (cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(cursor);
+      } catch (error) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+    }
+
+    const result = await documentClient.query({
+      TableName: CONVERSATIONS_TABLE,
+      IndexName: 'inboxIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
+      Limit: limit,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+    }).promise();
+
+    return successResponse(200, {
+      success: true,
+      items: result.Items,
+      count: result.Items.length,
+      totalUnread: await countUnread(userId),
+      cursor: encodeCursor(result.LastEvaluatedKey)
+    });
+  } catch (error) {
+    console.error('ListConversations error:', error);
+    return errorResponse(500, 'Failed to list conversations', error.message);
+  }
+};
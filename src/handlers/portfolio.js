@@ -0,0 +1,420 @@
+import { v4 as uuidv4 } from 'uuid';
+import documentClient from '../utils/database.js';
+import { canModifyProfile } from '../utils/auth.js';
+import { errorHandler, httpError } from '../utils/errors.js';
+import {
+  PORTFOLIO_MEDIA_TYPES,
+  confirmUpload,
+  createPortfolioUploadUrl,
+  deleteMediaObject,
+  getUploadedObject,
+  isPortfolioKey,
+  mediaUrl
+} from '../utils/media.js';
+import { getEntitlements, limitDetails } from '../utils/plans.js';
+import { lockedProfileUpdate, requireProfile } from '../utils/profiles.js';
+
+const MAX_SELECTED_ITEMS = 6;
+const MAX_CAPTION_LENGTH = 300;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Enforce the owner's plan limit on portfolio items. A portfolio left over
+ * the limit by a downgrade keeps its items but cannot grow.
+ */
+const checkPortfolioSlots = (user) => {
+  const { portfolioSlots } = getEntitlements(user.currentPlan);
+
+  if (portfolioSlots !== null && (user.portfolio || []).length >= portfolioSlots) {
+    throw httpError(403, `Your plan allows at most ${portfolioSlots} portfolio items`,
+      limitDetails(user.currentPlan, 'portfolioSlots'));
+  }
+};
+
+/**
+ * Enforce the highlight limit
+ */
+const checkSelectedLimit = (portfolio) => {
+  if (portfolio.filter(item => item.selected).length > MAX_SELECTED_ITEMS) {
+    throw httpError(400, `At most ${MAX_SELECTED_ITEMS} portfolio items can be selected as highlights`);
+  }
+};
+
+/**
+ * Save the whole portfolio list, only if the profile has not changed since it was read
+ */
+const savePortfolio = async (user, portfolio) => {
+  try {
+    const result = await documentClient.update({
+      ...lockedProfileUpdate(user, { portfolio }, new Date().toISOString()),
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      throw httpError(409, 'Profile was changed by another request. Please retry.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Validate an optional caption
+ */
+const parseCaption = (caption) => {
+  if (caption === undefined) {
+    return undefined;
+  }
+
+  if (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH) {
+    throw httpError(400, `Caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`);
+  }
+
+  return caption.trim();
+};
+
+/**
+ * Map errors from the shared logic to responses
+ */
+const handleError = errorHandler(errorResponse);
+
+/**
+ * Get a presigned upload URL for a portfolio image or video
+ * POST /users/{userId}/portfolio/upload-url
+ * Body: { contentType, contentLength }
+ * Owner or admin only. POST the file to `upload.url` with `upload.fields`, then
+ * confirm it with POST /users/{userId}/portfolio and the returned `key`.
+ * The upload may be at most `contentLength` bytes.
+ */
+export const getPortfolioUploadUrl = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { contentType } = body;
+    const contentLength = Number(body.contentLength);
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    const mediaType = PORTFOLIO_MEDIA_TYPES[contentType];
+
+    if (!mediaType) {
+      return errorResponse(400, `Invalid contentType. Must be one of: ${Object.keys(PORTFOLIO_MEDIA_TYPES).join(', ')}`);
+    }
+
+    if (!Number.isInteger(contentLength) || contentLength <= 0) {
+      return errorResponse(400, 'contentLength must be the file size in bytes');
+    }
+
+    if (contentLength > mediaType.maxBytes) {
+      return errorResponse(400, `File too large. ${contentType} uploads are limited to ${mediaType.maxBytes / (1024 * 1024)} MB`);
+    }
+
+    const user = await requireProfile(userId);
+    checkPortfolioSlots(user);
+
+    const upload = await createPortfolioUploadUrl(userId, contentType, contentLength);
+
+    return successResponse(200, {
+      success: true,
+      ...upload,
+      maxBytes: contentLength
+    });
+  } catch (error) {
+    return handleError('GetPortfolioUploadUrl', error, 'Failed to create upload URL');
+  }
+};
+
+/**
+ * Add portfolio item
+ * POST /users/{userId}/portfolio
+ * Body: { key, selected, caption } to confirm an upload, or
+ *       { url, type, selected, caption } for an external https link
+ * Owner or admin only. Uploads are checked against the allowed content
+ * types and size limits; an object that fails the check is deleted.
+ */
+export const addPortfolioItem = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { key, url, type, selected = false } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    if (!key && !url) {
+      return errorResponse(400, 'Missing required fields: key (or url for an external link)');
+    }
+
+    const caption = parseCaption(body.caption);
+    const user = await requireProfile(userId);
+    const portfolio = user.portfolio || [];
+    checkPortfolioSlots(user);
+
+    const now = new Date().toISOString();
+    let media;
+
+    if (key) {
+      if (!isPortfolioKey(userId, key)) {
+        return errorResponse(400, 'Invalid key. Use the key returned by the upload-url endpoint');
+      }
+
+      if (portfolio.some(item => item.key === key)) {
+        return errorResponse(409, 'This upload is already in the portfolio');
+      }
+
+      const uploaded = await getUploadedObject(key);
+
+      if (!uploaded) {
+        return errorResponse(400, 'Upload not found. POST the file to the upload URL before confirming it');
+      }
+
+      const mediaType = PORTFOLIO_MEDIA_TYPES[uploaded.contentType];
+
+      if (!mediaType || uploaded.size > mediaType.maxBytes) {
+        await deleteMediaObject(key);
+        return errorResponse(400, 'Uploaded file has an unsupported type or exceeds the size limit');
+      }
+
+      await confirmUpload(key);
+
+      media = {
+        key,
+        url: mediaUrl(key),
+        type: mediaType.type,
+        contentType: uploaded.contentType,
+        size: uploaded.size
+      };
+    } else {
+      if (!['image', 'video'].includes(type)) {
+        return errorResponse(400, 'Invalid type. Must be one of: image, video');
+      }
+
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        parsed = null;
+      }
+
+      if (!parsed || parsed.protocol !== 'https:') {
+        return errorResponse(400, 'url must be a valid https link');
+      }
+
+      media = { key: null, url: parsed.toString(), type };
+    }
+
+    const newPortfolio = {
+      id: uuidv4(),
+      ...media,
+      caption: caption || '',
+      selected: Boolean(selected),
+      uploadedAt: now,
+      updatedAt: now
+    };
+
+    const updated = [...portfolio, newPortfolio];
+    checkSelectedLimit(updated);
+
+    const result = await savePortfolio(user, updated);
+
+    return successResponse(201, {
+      success: true,
+      message: 'Portfolio item added',
+      portfolioItem: newPortfolio,
+      user: result
+    });
+  } catch (error) {
+    return handleError('AddPortfolioItem', error, 'Failed to add portfolio item');
+  }
+};
+
+/**
+ * Update a portfolio item
+ * PATCH /users/{userId}/portfolio/{itemId}
+ * Body: { selected, caption }
+ * Owner or admin only
+ */
+export const updatePortfolioItem = async (event) => {
+  try {
+    const { userId, itemId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { selected } = body;
+
+    if (!userId || !itemId) {
+      return errorResponse(400, 'Missing required parameters: userId, itemId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    if (selected !== undefined && typeof selected !== 'boolean') {
+      return errorResponse(400, 'selected must be a boolean');
+    }
+
+    const caption = parseCaption(body.caption);
+
+    if (selected === undefined && caption === undefined) {
+      return errorResponse(400, 'Nothing to update. Provide selected and/or caption');
+    }
+
+    const user = await requireProfile(userId);
+    const portfolio = user.portfolio || [];
+    const existing = portfolio.find(item => item.id === itemId);
+
+    if (!existing) {
+      return errorResponse(404, 'Portfolio item not found');
+    }
+
+    const portfolioItem = {
+      ...existing,
+      ...(selected !== undefined && { selected }),
+      ...(caption !== undefined && { caption }),
+      updatedAt: new Date().toISOString()
+    };
+
+    const updated = portfolio.map(item => (item.id === itemId ? portfolioItem : item));
+    checkSelectedLimit(updated);
+
+    const result = await savePortfolio(user, updated);
+
+    return successResponse(200, {
+      success: true,
+      message: 'Portfolio item updated',
+      portfolioItem,
+      portfolio: result.portfolio
+    });
+  } catch (error) {
+    return handleError('UpdatePortfolioItem', error, 'Failed to update portfolio item');
+  }
+};
+
+/**
+ * Delete a portfolio item
+ * DELETE /users/{userId}/portfolio/{itemId}
+ * Owner or admin only. Uploaded media is removed from storage.
+ */
+export const deletePortfolioItem = async (event) => {
+  try {
+    const { userId, itemId } = event.pathParameters;
+
+    if (!userId || !itemId) {
+      return errorResponse(400, 'Missing required parameters: userId, itemId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    const user = await requireProfile(userId);
+    const portfolio = user.portfolio || [];
+    const existing = portfolio.find(item => item.id === itemId);
+
+    if (!existing) {
+      return errorResponse(404, 'Portfolio item not found');
+    }
+
+    const result = await savePortfolio(user, portfolio.filter(item => item.id !== itemId));
+
+    // Remove the object only once it is no longer referenced
+    if (existing.key) {
+      await deleteMediaObject(existing.key);
+    }
+
+    return successResponse(200, {
+      success: true,
+      message: 'Portfolio item deleted',
+      itemId,
+      portfolio: result.portfolio
+    });
+  } catch (error) {
+    return handleError('DeletePortfolioItem', error, 'Failed to delete portfolio item');
+  }
+};
+
+/**
+ * Reorder the portfolio
+ * PUT /users/{userId}/portfolio/order
+ * Body: { itemIds: [...] } - every item id, in the new order
+ * Owner or admin only
+ */
+export const reorderPortfolio = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { itemIds } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    if (!Array.isArray(itemIds)) {
+      return errorResponse(400, 'itemIds must be an array of portfolio item ids');
+    }
+
+    const user = await requireProfile(userId);
+    const portfolio = user.portfolio || [];
+    const byId = new Map(portfolio.map(item => [item.id, item]));
+
+    if (itemIds.length !== portfolio.length ||
+      new Set(itemIds).size !== itemIds.length ||
+      !itemIds.every(id => byId.has(id))) {
+      return errorResponse(400, 'itemIds must list every portfolio item exactly once');
+    }
+
+    const result = await savePortfolio(user, itemIds.map(id => byId.get(id)));
+
+    return successResponse(200, {
+      success: true,
+      message: 'Portfolio reordered',
+      portfolio: result.portfolio
+    });
+  } catch (error) {
+    return handleError('ReorderPortfolio', error, 'Failed to reorder portfolio');
+  }
+};
@@ -0,0 +1,340 @@
+import { v4 as uuidv4 } from 'uuid';
+import documentClient, { cancellationReasons, decodeCursor, encodeCursor } from '../utils/database.js';
+import { getCaller, hasRole } from '../utils/auth.js';
+import { writeAuditLog } from '../utils/audit.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const REPORTS_TABLE = process.env.REPORTS_TABLE;
+
+const REPORT_CATEGORIES = [
+  'spam', 'fake-account', 'scam', 'harassment', 'impersonation', 'inappropriate-content', 'other'
+];
+const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+const RESOLUTIONS = ['actioned', 'dismissed'];
+const MAX_DETAILS_LENGTH = 1000;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Key of the marker item that holds a reporter's open report about a user.
+ * It has no status, reportedUserId or createdAt, so it stays out of both indexes.
+ */
+const openReportKey = (reportedUserId, reporterId) => `open#${reportedUserId}#${reporterId}`;
+
+/**
+ * Report a user
+ * POST /users/{userId}/report
+ * Body: { category, details }
+ * Signed-in users only. One open report per reporter and user - a new report
+ * can be filed once the previous one has been resolved.
+ */
+export const reportUser = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can report another user');
+    }
+
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { category } = body;
+    const details = typeof body.details === 'string' ? body.details.trim() : '';
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (userId === caller.userId) {
+      return errorResponse(400, 'You cannot report yourself');
+    }
+
+    if (!REPORT_CATEGORIES.includes(category)) {
+      return errorResponse(400, `Invalid category. Must be one of: ${REPORT_CATEGORIES.join(', ')}`);
+    }
+
+    if (category === 'other' && !details) {
+      return errorResponse(400, 'Please describe the problem in details');
+    }
+
+    if (details.length > MAX_DETAILS_LENGTH) {
+      return errorResponse(400, `Details must be at most ${MAX_DETAILS_LENGTH} characters`);
+    }
+
+    const reported = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ProjectionExpression: 'userId'
+    }).promise();
+
+    if (!reported.Item) {
+      return errorResponse(404, 'User not found');
+    }
+
+    const now = new Date().toISOString();
+    const report = {
+      reportId: uuidv4(),
+      reportedUserId: userId,
+      reporterId: caller.userId,
+      category,
+      details,
+      status: 'open',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      // The marker only exists while the reporter has an open report about the user
+      await documentClient.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              TableName: REPORTS_TABLE,
+              Item: report,
+              ConditionExpression: 'attribute_not_exists(reportId)'
+            }
+          },
+          {
+            Put: {
+              TableName: REPORTS_TABLE,
+              Item: {
+                reportId: openReportKey(userId, caller.userId),
+                openReportId: report.reportId
+              },
+              ConditionExpression: 'attribute_not_exists(reportId)'
+            }
+          }
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        const [, markerReason] = cancellationReasons(error);
+
+        if (markerReason === 'ConditionalCheckFailed') {
+          return errorResponse(409, 'You have already reported this user. Our team is reviewing it.');
+        }
+      }
+      throw error;
+    }
+
+    return successResponse(201, {
+      success: true,
+      message: 'Report submitted. Our team will review it.',
+      reportId: report.reportId
+    });
+  } catch (error) {
+    console.error('ReportUser error:', error);
+    return errorResponse(500, 'Failed to report user', error.message);
+  }
+};
+
+/**
+ * List reports - the moderation queue
+ * GET /admin/reports?status=open&userId={reportedUserId}&limit=20&cursor={cursor}
+ * Admin only. Filtered by status, oldest first; or every report about one
+ * user, newest first.
+ */
+export const listReports = async (event) => {
+  try {
+    if (!hasRole(getCaller(event), 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { status = 'open', userId, cursor } = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit, 10) || 20, 100);
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return errorResponse(400, `Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    let exclusiveStartKey;
+    if (cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(cursor);
+      } catch (error) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+    }
+
+    const params = userId
+      ? {
+        TableName: REPORTS_TABLE,
+        IndexName: 'reportedUserIndex',
+        KeyConditionExpression: 'reportedUserId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ScanIndexForward: false
+      }
+      : {
+        TableName: REPORTS_TABLE,
+        IndexName: 'statusIndex',
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': status },
+        ScanIndexForward: true
+      };
+
+    const result = await documentClient.query({
+      ...params,
+      Limit: limit,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+    }).promise();
+
+    return successResponse(200, {
+      success: true,
+      items: result.Items,
+      count: result.Items.length,
+      cursor: encodeCursor(result.LastEvaluatedKey)
+    });
+  } catch (error) {
+    console.error('ListReports error:', error);
+    return errorResponse(500, 'Failed to list reports', error.message);
+  }
+};
+
+/**
+ * Resolve a report
+ * POST /admin/reports/{reportId}/resolve
+ * Body: { resolution: 'actioned' | 'dismissed', note }
+ * Admin only. Taking action on the account itself (e.g. disabling it) is a
+ * separate admin call; the resolution is recorded in the audit trail.
+ */
+export const resolveReport = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (!hasRole(caller, 'admin')) {
+      return errorResponse(403, 'Admin access required');
+    }
+
+    const { reportId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { resolution } = body;
+    const note = typeof body.note === 'string' ? body.note.trim() : body.note;
+
+    if (!reportId) {
+      return errorResponse(400, 'Missing required parameter: reportId');
+    }
+
+    if (!RESOLUTIONS.includes(resolution)) {
+      return errorResponse(400, `Invalid resolution. Must be one of: ${RESOLUTIONS.join(', ')}`);
+    }
+
+    if (note !== undefined && typeof note !== 'string') {
+      return errorResponse(400, 'Note must be text');
+    }
+
+    if (note && note.length > MAX_DETAILS_LENGTH) {
+      return errorResponse(400, `Note must be at most ${MAX_DETAILS_LENGTH} characters`);
+    }
+
+    const existing = await documentClient.get({
+      TableName: REPORTS_TABLE,
+      Key: { reportId },
+      ConsistentRead: true
+    }).promise();
+
+    if (existing.Item?.status !== 'open') {
+      return errorResponse(409, 'Report not found or already resolved');
+    }
+
+    const now = new Date().toISOString();
+    const report = {
+      ...existing.Item,
+      status: resolution,
+      note: note || '',
+      resolvedBy: caller.userId,
+      resolvedAt: now,
+      updatedAt: now
+    };
+
+    try {
+      // Closing the report frees the reporter to report the user again
+      await documentClient.transactWrite({
+        TransactItems: [
+          {
+            Update: {
+              TableName: REPORTS_TABLE,
+              Key: { reportId },
+              UpdateExpression: 'SET #status = :resolution, #note = :note, #resolvedBy = :resolvedBy, #resolvedAt = :now, #updatedAt = :now',
+              ConditionExpression: '#status = :open',
+              ExpressionAttributeNames: {
+                '#status': 'status',
+                '#note': 'note',
+                '#resolvedBy': 'resolvedBy',
+                '#resolvedAt': 'resolvedAt',
+                '#updatedAt': 'updatedAt'
+              },
+              ExpressionAttributeValues: {
+                ':resolution': resolution,
+                ':note': report.note,
+                ':resolvedBy': caller.userId,
+                ':now': now,
+                ':open': 'open'
+              }
+            }
+          },
+          {
+            Delete: {
+              TableName: REPORTS_TABLE,
+              Key: { reportId: openReportKey(report.reportedUserId, report.reporterId) },
+              ConditionExpression: 'attribute_not_exists(reportId) OR openReportId = :reportId',
+              ExpressionAttributeValues: { ':reportId': reportId }
+            }
+          }
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        const [reportReason] = cancellationReasons(error);
+
+        if (reportReason === 'ConditionalCheckFailed') {
+          return errorResponse(409, 'Report not found or already resolved');
+        }
+      }
+      throw error;
+    }
+
+    await writeAuditLog(event, `report.${resolution === 'actioned' ? 'action' : 'dismiss'}`, report.reportedUserId, {
+      reportId,
+      category: report.category,
+      note: report.note
+    });
+
+    return successResponse(200, {
+      success: true,
+      message: 'Report resolved',
+      report
+    });
+  } catch (error) {
+    console.error('ResolveReport error:', error);
+    return errorResponse(500, 'Failed to resolve report', error.message);
+  }
+};
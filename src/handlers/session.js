@@ -0,0 +1,123 @@
+import AWS from 'aws-sdk';
+import documentClient from '../utils/database.js';
+import { getCaller } from '../utils/auth.js';
+import { deleteSession, getSessionRefreshToken, listUserSessions, toPublicSession } from '../utils/sessions.js';
+
+const cognito = new AWS.CognitoIdentityServiceProvider({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * List the caller's active sessions (devices they are logged in on)
+ * GET /me/sessions
+ */
+export const listSessions = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can list their sessions');
+    }
+
+    const sessions = await listUserSessions(caller.userId);
+
+    return successResponse(200, {
+      success: true,
+      sessions: sessions.map(toPublicSession),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('ListSessions error:', error);
+    return errorResponse(500, 'Failed to list sessions', error.message);
+  }
+};
+
+/**
+ * Log out one of the caller's sessions
+ * DELETE /me/sessions/{sessionId}
+ * Note: Revokes the session's refresh token and removes its push token from device_tokens
+ */
+export const revokeSession = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can revoke their sessions');
+    }
+
+    const { sessionId } = event.pathParameters;
+
+    if (!sessionId) {
+      return errorResponse(400, 'Missing required parameter: sessionId');
+    }
+
+    const result = await documentClient.get({
+      TableName: SESSIONS_TABLE,
+      Key: { userId: caller.userId, sessionId }
+    }).promise();
+
+    if (!result.Item) {
+      return errorResponse(404, 'Session not found');
+    }
+
+    const refreshToken = await getSessionRefreshToken(result.Item);
+
+    try {
+      // Without a token there is nothing to revoke - the record is still removed
+      if (refreshToken) {
+        await cognito.revokeToken({
+          ClientId: process.env.USER_POOL_CLIENT_ID,
+          Token: refreshToken
+        }).promise();
+      }
+    } catch (error) {
+      // Already expired or revoked - the session record is still removed
+      if (error.code !== 'NotAuthorizedException' && error.code !== 'UnauthorizedException') {
+        throw error;
+      }
+    }
+
+    await deleteSession(result.Item);
+
+    return successResponse(200, {
+      success: true,
+      message: 'Session revoked successfully',
+      revokedSessionId: sessionId
+    });
+  } catch (error) {
+    console.error('RevokeSession error:', error);
+    return errorResponse(500, 'Failed to revoke session', error.message);
+  }
+};
@@ -0,0 +1,464 @@
+import { randomUUID } from 'crypto';
+import documentClient, { cancellationReasons } from '../utils/database.js';
+import { getCaller } from '../utils/auth.js';
+import {
+  BILLING_PERIOD_DAYS,
+  PAID_PLANS,
+  PLANS,
+  PLAN_CURRENCY,
+  getEntitlements,
+  getUsage
+} from '../utils/plans.js';
+import { WEBHOOK_EVENTS, getPaymentProvider } from '../utils/payments.js';
+import { activatePlanItem, cancelPlanItem, endPlanItem, renewPlanItem } from '../utils/subscriptions.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const PAYMENTS_TABLE = process.env.PAYMENTS_TABLE;
+
+const DAY_SECONDS = 24 * 60 * 60;
+const CHECKOUT_TTL_DAYS = 7;
+const EVENT_RETENTION_DAYS = 30;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Validate required fields
+ */
+const validateRequiredFields = (data, requiredFields) => {
+  const missing = requiredFields.filter(field => !data[field]);
+  return missing.length === 0 ? null : missing;
+};
+
+const epochSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * A plan as listed to clients
+ */
+const planSummary = (plan) => ({
+  plan,
+  name: PLANS[plan].name,
+  price: PLANS[plan].price,
+  currency: PLAN_CURRENCY,
+  billingPeriodDays: BILLING_PERIOD_DAYS,
+  entitlements: PLANS[plan].entitlements
+});
+
+/**
+ * List plans
+ * GET /plans
+ * Note: Public. Prices are in paise; a null limit is unlimited.
+ */
+export const listPlans = async () => {
+  try {
+    return successResponse(200, {
+      success: true,
+      plans: Object.keys(PLANS).map(planSummary)
+    });
+  } catch (error) {
+    console.error('ListPlans error:', error);
+    return errorResponse(500, 'Failed to list plans', error.message);
+  }
+};
+
+/**
+ * Get the caller's subscription, entitlements and usage this month
+ * GET /me/subscription
+ */
+export const getMySubscription = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user has a subscription');
+    }
+
+    const result = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId: caller.userId },
+      ProjectionExpression: 'currentPlan, subscription, portfolio'
+    }).promise();
+
+    if (!result.Item) {
+      return errorResponse(404, 'User not found');
+    }
+
+    const plan = PLANS[result.Item.currentPlan] ? result.Item.currentPlan : 'free';
+    const usage = await getUsage(caller.userId);
+
+    return successResponse(200, {
+      success: true,
+      plan,
+      subscription: result.Item.subscription || null,
+      entitlements: getEntitlements(plan),
+      usage: {
+        ...usage,
+        portfolioItems: (result.Item.portfolio || []).length
+      }
+    });
+  } catch (error) {
+    console.error('GetMySubscription error:', error);
+    return errorResponse(500, 'Failed to get subscription', error.message);
+  }
+};
+
+/**
+ * Start a checkout for a paid plan
+ * POST /me/subscription/checkout
+ * Body: { plan, successUrl, cancelUrl }
+ * Note: Send the user to `checkoutUrl`. The plan changes only when the payment
+ * provider confirms the payment through the webhook.
+ */
+export const createCheckout = async (event) => {
+  try {
+    const caller = getCaller(event);
+
+    if (caller.authType !== 'jwt' || !caller.userId) {
+      return errorResponse(403, 'Only a signed-in user can subscribe');
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { plan, successUrl, cancelUrl } = body;
+
+    const missing = validateRequiredFields(body, ['plan']);
+    if (missing) {
+      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    if (!PAID_PLANS.includes(plan)) {
+      return errorResponse(400, `Invalid plan. Must be one of: ${PAID_PLANS.join(', ')}`);
+    }
+
+    const user = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId: caller.userId },
+      ProjectionExpression: 'userId, subscription, paidPlan'
+    }).promise();
+
+    if (!user.Item) {
+      return errorResponse(404, 'User not found');
+    }
+
+    // Switching plans needs the renewing subscription cancelled first, or both would bill
+    if (user.Item.paidPlan && user.Item.subscription?.status === 'active') {
+      return errorResponse(409, 'You already have an active subscription', {
+        plan: user.Item.paidPlan,
+        renewalDate: user.Item.subscription.renewalDate
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const checkoutId = randomUUID();
+    const now = new Date().toISOString();
+    const { price: amount } = PLANS[plan];
+
+    const { providerCheckoutId, checkoutUrl } = await provider.createCheckout({
+      checkoutId,
+      userId: caller.userId,
+      plan,
+      amount,
+      currency: PLAN_CURRENCY,
+      successUrl,
+      cancelUrl
+    });
+
+    await documentClient.put({
+      TableName: PAYMENTS_TABLE,
+      Item: {
+        paymentKey: `checkout#${checkoutId}`,
+        checkoutId,
+        userId: caller.userId,
+        plan,
+        amount,
+        currency: PLAN_CURRENCY,
+        provider: provider.name,
+        providerCheckoutId,
+        status: 'pending',
+        createdAt: now,
+        expiresAt: epochSeconds(now) + CHECKOUT_TTL_DAYS * DAY_SECONDS
+      }
+    }).promise();
+
+    return successResponse(201, {
+      success: true,
+      message: 'Checkout created',
+      checkoutId,
+      checkoutUrl,
+      plan,
+      amount,
+      currency: PLAN_CURRENCY
+    });
+  } catch (error) {
+    console.error('CreateCheckout error:', error);
+    return errorResponse(500, 'Failed to create checkout', error.message);
+  }
+};
+
+const getPaymentRecord = async (paymentKey) => {
+  const result = await documentClient.get({
+    TableName: PAYMENTS_TABLE,
+    Key: { paymentKey }
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Transaction items that apply a webhook event, or null when there is
+ * nothing of ours to apply it to. For an activation, `planItem` is the item
+ * that puts the user on the plan and `checkout` the checkout it completes.
+ */
+const eventItems = async (paymentEvent, provider, now) => {
+  const { type, checkoutId, subscriptionId } = paymentEvent;
+  const periodEnd = paymentEvent.currentPeriodEnd;
+
+  if (type === 'subscription.activated') {
+    const checkout = checkoutId && await getPaymentRecord(`checkout#${checkoutId}`);
+
+    if (!checkout || checkout.provider !== provider.name || !subscriptionId) {
+      return null;
+    }
+
+    const details = {
+      plan: checkout.plan,
+      provider: provider.name,
+      subscriptionId,
+      periodEnd: periodEnd ||
+        new Date(new Date(now).getTime() + BILLING_PERIOD_DAYS * DAY_SECONDS * 1000).toISOString()
+    };
+
+    const planItem = activatePlanItem(checkout.userId, details, now);
+    const items = [
+      {
+        Update: {
+          TableName: PAYMENTS_TABLE,
+          Key: { paymentKey: checkout.paymentKey },
+          UpdateExpression: 'SET #status = :completed, subscriptionId = :subscriptionId, completedAt = :now REMOVE expiresAt',
+          ConditionExpression: '#status = :pending',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':completed': 'completed',
+            ':pending': 'pending',
+            ':subscriptionId': subscriptionId,
+            ':now': now
+          }
+        }
+      },
+      {
+        Put: {
+          TableName: PAYMENTS_TABLE,
+          Item: {
+            paymentKey: `subscription#${provider.name}#${subscriptionId}`,
+            subscriptionId,
+            userId: checkout.userId,
+            plan: checkout.plan,
+            provider: provider.name,
+            checkoutId,
+            createdAt: now
+          },
+          ConditionExpression: 'attribute_not_exists(paymentKey)'
+        }
+      },
+      planItem
+    ];
+
+    return { items, planItem, checkout };
+  }
+
+  const subscription = subscriptionId && await getPaymentRecord(`subscription#${provider.name}#${subscriptionId}`);
+
+  // A subscription that was never applied has no plan to renew or end
+  if (!subscription || subscription.status === 'unapplied') {
+    return null;
+  }
+
+  if (type === 'subscription.renewed') {
+    return periodEnd
+      ? { items: [renewPlanItem(subscription.userId, { plan: subscription.plan, subscriptionId, periodEnd })] }
+      : null;
+  }
+
+  // subscription.cancelled - without a later period end, the plan ends now
+  return {
+    items: periodEnd && periodEnd > now
+      ? [cancelPlanItem(subscription.userId, { subscriptionId, periodEnd }, now)]
+      : [endPlanItem(subscription.userId, subscriptionId, now)]
+  };
+};
+
+/**
+ * Keep a subscription that was paid for but could not be applied, because
+ * the user already had another one active. The checkout is marked
+ * `needs-refund` (and no longer expires) and the subscription is recorded as
+ * `unapplied`, so it can be found, cancelled and refunded with the provider.
+ * Safe to repeat: an already recorded subscription is left as it is.
+ */
+const recordUnappliedSubscription = async (checkout, subscriptionId, provider, now) => {
+  try {
+    await documentClient.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: PAYMENTS_TABLE,
+            Key: { paymentKey: checkout.paymentKey },
+            UpdateExpression: 'SET #status = :needsRefund, subscriptionId = :subscriptionId, updatedAt = :now REMOVE expiresAt',
+            ConditionExpression: '#status = :pending',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+              ':needsRefund': 'needs-refund',
+              ':pending': 'pending',
+              ':subscriptionId': subscriptionId,
+              ':now': now
+            }
+          }
+        },
+        {
+          Put: {
+            TableName: PAYMENTS_TABLE,
+            Item: {
+              paymentKey: `subscription#${provider.name}#${subscriptionId}`,
+              subscriptionId,
+              userId: checkout.userId,
+              plan: checkout.plan,
+              provider: provider.name,
+              checkoutId: checkout.checkoutId,
+              status: 'unapplied',
+              createdAt: now
+            },
+            ConditionExpression: 'attribute_not_exists(paymentKey)'
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    const reasons = error.code === 'TransactionCanceledException' ? cancellationReasons(error) : [];
+
+    if (!reasons.includes('ConditionalCheckFailed')) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Payment provider webhook
+ * POST /payments/webhook
+ * Note: Not behind the authorizer - calls are authenticated by the provider's
+ * signature. Each event is applied at most once. Events that do not apply
+ * (unknown types, checkouts or subscriptions that are not ours, stale
+ * renewals) are acknowledged with 200 so the provider stops retrying; an
+ * event that could not be written for any other reason fails with 500.
+ * A second subscription activated while another is active is not applied
+ * but kept for a refund (see recordUnappliedSubscription).
+ */
+export const paymentWebhook = async (event) => {
+  try {
+    const provider = getPaymentProvider();
+    const rawBody = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : event.body || '';
+
+    const paymentEvent = provider.verifyWebhook(rawBody, event.headers || {});
+
+    if (!paymentEvent) {
+      return errorResponse(401, 'Invalid webhook signature');
+    }
+
+    if (!paymentEvent.eventId) {
+      return errorResponse(400, 'Missing event id');
+    }
+
+    if (!WEBHOOK_EVENTS.includes(paymentEvent.type)) {
+      return successResponse(200, { success: true, received: true, result: 'ignored' });
+    }
+
+    if (paymentEvent.currentPeriodEnd && Number.isNaN(Date.parse(paymentEvent.currentPeriodEnd))) {
+      return errorResponse(400, 'currentPeriodEnd must be a date');
+    }
+
+    const now = new Date().toISOString();
+    const normalised = {
+      ...paymentEvent,
+      currentPeriodEnd: paymentEvent.currentPeriodEnd && new Date(paymentEvent.currentPeriodEnd).toISOString()
+    };
+    const applied = await eventItems(normalised, provider, now);
+
+    if (!applied) {
+      return successResponse(200, { success: true, received: true, result: 'ignored' });
+    }
+
+    const transactItems = [
+      {
+        Put: {
+          TableName: PAYMENTS_TABLE,
+          Item: {
+            paymentKey: `event#${provider.name}#${paymentEvent.eventId}`,
+            eventId: paymentEvent.eventId,
+            type: paymentEvent.type,
+            subscriptionId: paymentEvent.subscriptionId,
+            processedAt: now,
+            expiresAt: epochSeconds(now) + EVENT_RETENTION_DAYS * DAY_SECONDS
+          },
+          ConditionExpression: 'attribute_not_exists(paymentKey)'
+        }
+      },
+      ...applied.items
+    ];
+    const planItemIndex = applied.planItem ? transactItems.indexOf(applied.planItem) : -1;
+
+    try {
+      await documentClient.transactWrite({ TransactItems: transactItems }).promise();
+    } catch (error) {
+      const reasons = error.code === 'TransactionCanceledException' ? cancellationReasons(error) : [];
+
+      // Only failed conditions are final; anything else (a conflict,
+      // throttling) fails with 500 so the provider retries the event
+      if (reasons.length && reasons.every(reason => reason === 'None' || reason === 'ConditionalCheckFailed')) {
+        const result = reasons[0] === 'ConditionalCheckFailed' ? 'duplicate' : 'ignored';
+
+        // The user already has an active subscription: this one was paid for
+        // but not applied. If keeping that fails, the provider retries.
+        const onlyPlanFailed = planItemIndex !== -1 && reasons.every((reason, index) =>
+          reason === (index === planItemIndex ? 'ConditionalCheckFailed' : 'None'));
+
+        if (onlyPlanFailed) {
+          await recordUnappliedSubscription(applied.checkout, paymentEvent.subscriptionId, provider, now);
+        }
+
+        return successResponse(200, { success: true, received: true, result });
+      }
+      throw error;
+    }
+
+    return successResponse(200, { success: true, received: true, result: 'applied' });
+  } catch (error) {
+    console.error('PaymentWebhook error:', error);
+    return errorResponse(500, 'Failed to process webhook', error.message);
+  }
+};
@@ -1,5 +1,24 @@
 import AWS from 'aws-sdk';
 import { v4 as uuidv4 } from 'uuid';
+import { buildUserProfile, createProfile } from '../utils/userProfile.js';
+import { canModifyProfile, getCaller, hasRole } from '../utils/auth.js';
+import { privaciesShowing, projectProfile, visibleSections } from '../utils/profileProjection.js';
+import { isBlockedBetween } from '../utils/blocks.js';
+import { categoriesOf, computeCompleteness } from '../utils/completeness.js';
+import { cancellationReasons, decodeCursor, encodeCursor } from '../utils/database.js';
+import {
+  claimUsernameItem,
+  findUsername,
+  normaliseUsername,
+  queryUsernamePrefix,
+  releaseUsernameItem,
+  retireUsernameItem,
+  usernameChangeRetryAfter,
+  validateUsername,
+  MAX_USERNAME_CHANGES,
+  USERNAME_CHANGE_WINDOW_DAYS
+} from '../utils/usernames.js';
+import { ageOf, countFacets, isSearchCursor, normalise, searchTalentIndex } from '../utils/talentIndex.js';
 
 const documentClient = new AWS.DynamoDB.DocumentClient({
   region: process.env.REGION || 'ap-south-1',
@@ -49,15 +68,89 @@ const validateRequiredFields = (data, requiredFields) => {
   return missing.length === 0 ? null : missing;
 };
 
+/**
+ * Profile fields a client may set through updateUser
+ */
+const UPDATABLE_FIELDS = [
+  'username', 'privacy', 'aboutMe', 'basicDetails', 'contactDetails',
+  'physicalStats', 'skills'
+];
+
+/**
+ * Profile fields a client may set through createUser
+ */
+const CREATABLE_FIELDS = [...UPDATABLE_FIELDS, 'email'];
+
+/**
+ * Check the shape of fields the profile's scoring and search depend on
+ * Returns an error message, or null when the body is valid
+ */
+const validateProfileFields = (body) => {
+  const { basicDetails } = body;
+
+  if (basicDetails === undefined) {
+    return null;
+  }
+
+  if (!basicDetails || typeof basicDetails !== 'object' || Array.isArray(basicDetails)) {
+    return 'basicDetails must be an object';
+  }
+
+  const { category } = basicDetails;
+
+  if (category !== undefined &&
+    (!Array.isArray(category) || !category.every(value => typeof value === 'string' && value.trim()))) {
+    return 'basicDetails.category must be a list of category names, e.g. ["Actor"]';
+  }
+
+  return null;
+};
+
+/**
+ * Profile fields owned by their own flows, rejected by createUser (except
+ * email) and updateUser
+ */
+const MANAGED_FIELDS = {
+  view: 'PUT /users/{userId}/view',
+  subscription: 'the subscription flow',
+  currentPlan: 'the subscription flow',
+  tokens: 'the auth endpoints',
+  appliedJobs: 'POST /casting/{jobId}/apply',
+  email: 'POST /auth/change-contact',
+  device_tokens: 'the login session flow',
+  connections: 'POST /users/{userId}/connections',
+  requestSent: 'POST /users/{userId}/connections',
+  requestReceived: 'POST /users/{userId}/connections',
+  blockedUsers: 'POST /users/{userId}/blocks',
+  blockedBy: 'POST /users/{userId}/blocks',
+  portfolio: 'the /users/{userId}/portfolio endpoints',
+  workExperience: 'the /users/{userId}/work-experience endpoints',
+  profileCompleteness: 'nothing - it is computed from the profile',
+  usernameHistory: 'nothing - it is recorded when username changes',
+  mfaEnabled: 'the /auth/mfa endpoints',
+  verifiedBrand: 'PUT /admin/users/{userId}/brand'
+};
+
 /**
  * Create a new user
  * POST /users
  * Body: { username, email, basicDetails: { firstName, lastName, ... }, ... }
+ * Note: Profiles are normally provisioned on sign-up confirmation. For a
+ * logged-in user the profile is keyed by their Cognito sub, so this only
+ * succeeds if that profile does not exist yet. Usernames are unique
+ * regardless of case (see src/utils/usernames.js). Managed fields are
+ * rejected as in updateUser; other unknown fields are ignored.
  */
 export const createUser = async (event) => {
   try {
     const body = JSON.parse(event.body || '{}');
-    const { username, email, basicDetails = {} } = body;
+    const { username } = body;
+
+    const managed = Object.keys(body).filter(field => MANAGED_FIELDS[field] && !CREATABLE_FIELDS.includes(field));
+    if (managed.length > 0) {
+      return errorResponse(400, `These fields cannot be set directly: ${managed.join(', ')}`,
+        Object.fromEntries(managed.map(field => [field, `Use ${MANAGED_FIELDS[field]}`])));
+    }
 
     // Validate required fields
     const missing = validateRequiredFields(body, ['username', 'email']);
@@ -65,95 +158,27 @@ export const createUser = async (event) => {
       return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
     }
 
-    const userId = uuidv4();
-    const now = new Date().toISOString();
-
-    // Check if username already exists
-    const existingUser = await documentClient.query({
-      TableName: USERS_TABLE,
-      IndexName: 'usernameIndex',
-      KeyConditionExpression: 'username = :username',
-      ExpressionAttributeValues: {
-        ':username': username
-      }
-    }).promise();
+    const fieldError = validateProfileFields(body);
+    if (fieldError) {
+      return errorResponse(400, fieldError);
+    }
 
-    if (existingUser.Items && existingUser.Items.length > 0) {
-      return errorResponse(409, 'Username already exists');
+    const usernameError = validateUsername(username);
+    if (usernameError) {
+      return errorResponse(400, usernameError);
     }
 
-    const user = {
-      userId,
-      username,
-      email,
-      privacy: body.privacy || 'public',
-      currentPlan: body.currentPlan || 'free',
-      view: 0,
-      aboutMe: body.aboutMe || '',
-      device_tokens: body.device_tokens || [],
-      subscription: {
-        activePlan: body.subscription?.activePlan || 'free',
-        startDate: now,
-        renewalDate: body.subscription?.renewalDate || null,
-        status: 'active'
-      },
-      tokens: body.tokens || {
-        AccessToken: '',
-        RefreshToken: '',
-        IdToken: ''
-      },
-      basicDetails: {
-        firstName: basicDetails.firstName || '',
-        lastName: basicDetails.lastName || '',
-        fullName: basicDetails.fullName || '',
-        avatarUrl: basicDetails.avatarUrl || '',
-        gender: basicDetails.gender || '',
-        category: basicDetails.category || [],
-        birthDate: basicDetails.birthDate || null,
-        age: basicDetails.age || null,
-        city: basicDetails.city || ''
-      },
-      contactDetails: {
-        email: body.contactDetails?.email || email,
-        phone: body.contactDetails?.phone || '',
-        instagram: body.contactDetails?.instagram || '',
-        facebook: body.contactDetails?.facebook || '',
-        twitter: body.contactDetails?.twitter || '',
-        youtube: body.contactDetails?.youtube || ''
-      },
-      physicalStats: {
-        height: body.physicalStats?.height || '',
-        weight: body.physicalStats?.weight || '',
-        bust: body.physicalStats?.bust || '',
-        waist: body.physicalStats?.waist || '',
-        hips: body.physicalStats?.hips || '',
-        chest: body.physicalStats?.chest || '',
-        biceps: body.physicalStats?.biceps || '',
-        hairType: body.physicalStats?.hairType || '',
-        hairLength: body.physicalStats?.hairLength || ''
-      },
-      skills: {
-        languages: body.skills?.languages || [],
-        expertise: body.skills?.expertise || [],
-        hobbies: body.skills?.hobbies || []
-      },
-      workExperience: body.workExperience || [],
-      portfolio: body.portfolio || [],
-      appliedJobs: body.appliedJobs || [],
-      requestSent: body.requestSent || [],
-      requestReceived: body.requestReceived || [],
-      connections: body.connections || [],
-      createdAt: now,
-      updatedAt: now
-    };
+    const caller = getCaller(event);
+    const userId = caller.authType === 'jwt' ? caller.userId : uuidv4();
+    const now = new Date().toISOString();
 
-    const params = {
-      TableName: USERS_TABLE,
-      Item: user,
-      ConditionExpression: 'attribute_not_exists(userId)'
-    };
+    const fields = Object.fromEntries(CREATABLE_FIELDS
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]]));
+    const user = buildUserProfile(userId, fields, now);
 
-    await documentClient.put(params).promise();
+    // Claims the username in the same transaction
+    await createProfile(user);
 
     return successResponse(201, {
       success: true,
@@ -163,8 +188,8 @@ export const createUser = async (event) => {
   } catch (error) {
     console.error('CreateUser error:', error);
 
-    if (error.code === 'ConditionalCheckFailedException') {
-      return errorResponse(409, 'User already exists');
+    if (error.statusCode) {
+      return errorResponse(error.statusCode, error.message);
     }
 
     return errorResponse(500, 'Failed to create user', error.message);
@@ -174,6 +199,8 @@ export const createUser = async (event) => {
 /**
  * Get user by userId
  * GET /users/{userId}
+ * Note: The profile is projected by privacy setting and the caller's relationship.
+ * Users who have blocked each other get a 404.
  */
 export const getUserById = async (event) => {
   try {
@@ -189,14 +216,15 @@ export const getUserById = async (event) => {
     };
 
     const result = await documentClient.get(params).promise();
+    const caller = getCaller(event);
 
-    if (!result.Item) {
+    if (!result.Item || isBlockedBetween(result.Item, caller.userId)) {
       return errorResponse(404, 'User not found');
     }
 
     return successResponse(200, {
       success: true,
-      user: result.Item
+      user: projectProfile(result.Item, caller)
     });
   } catch (error) {
     console.error('GetUserById error:', error);
@@ -207,6 +235,10 @@ export const getUserById = async (event) => {
 /**
  * Get user by username
  * GET /users/username/{username}
+ * Note: The username matches in any case. A username changed within its
+ * cool-off still finds the profile, with `redirectTo` set to the current one.
+ * The profile is projected by privacy setting and the caller's relationship.
+ * Users who have blocked each other get a 404.
  */
 export const getUserByUsername = async (event) => {
   try {
@@ -216,24 +248,39 @@ export const getUserByUsername = async (event) => {
       return errorResponse(400, 'Missing required parameter: username');
     }
 
-    const params = {
-      TableName: USERS_TABLE,
-      IndexName: 'usernameIndex',
-      KeyConditionExpression: 'username = :username',
-      ExpressionAttributeValues: {
-        ':username': username
-      }
-    };
+    const entry = await findUsername(username);
+    let user;
 
-    const result = await documentClient.query(params).promise();
+    if (entry) {
+      const result = await documentClient.get({
+        TableName: USERS_TABLE,
+        Key: { userId: entry.userId }
+      }).promise();
+      user = result.Item;
+    } else {
+      // Profiles not yet backfilled into UsernamesTable - exact match only
+      const result = await documentClient.query({
+        TableName: USERS_TABLE,
+        IndexName: 'usernameIndex',
+        KeyConditionExpression: 'username = :username',
+        ExpressionAttributeValues: {
+          ':username': username
+        }
+      }).promise();
+      user = result.Items[0];
+    }
 
-    if (!result.Items || result.Items.length === 0) {
+    const caller = getCaller(event);
+
+    if (!user || isBlockedBetween(user, caller.userId)) {
       return errorResponse(404, 'User not found');
     }
 
     return successResponse(200, {
       success: true,
-      user: result.Items[0]
+      user: projectProfile(user, caller),
+      // Looked up by a name the user has since changed
+      ...(entry?.status === 'retired' && { redirectTo: user.username })
     });
   } catch (error) {
     console.error('GetUserByUsername error:', error);
@@ -241,10 +288,33 @@ export const getUserByUsername = async (event) => {
   }
 };
 
+const conflictError = (message) => Object.assign(new Error(message), { statusCode: 409 });
+
+/**
+ * Run a username change: [profile update, claim new row?, retire old row?]
+ */
+const renameTransaction = async (items) => {
+  try {
+    await documentClient.transactWrite({ TransactItems: items }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      const [profileReason, claimReason] = cancellationReasons(error);
+      throw conflictError(claimReason === 'ConditionalCheckFailed' && profileReason !== 'ConditionalCheckFailed'
+        ? 'Username already exists'
+        : 'Profile was changed by another request. Please retry.');
+    }
+    throw error;
+  }
+};
+
 /**
  * Update user
  * PUT /users/{userId}
- * Body: { username, email, basicDetails, contactDetails, ... }
+ * Body: { username, privacy, aboutMe, basicDetails, contactDetails, ... }
+ * Owner or admin only. Fields in MANAGED_FIELDS are rejected - they change
+ * only through their own flows. A new username is claimed and the old one
+ * retired in the same transaction as the profile update; renames are limited
+ * per account (see src/utils/usernames.js).
  */
 export const updateUser = async (event) => {
   try {
@@ -255,6 +325,10 @@ export const updateUser = async (event) => {
       return errorResponse(400, 'Missing required parameter: userId');
     }
 
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
     // Check if user exists
     const existingUser = await documentClient.get({
       TableName: USERS_TABLE,
@@ -265,36 +339,47 @@ export const updateUser = async (event) => {
       return errorResponse(404, 'User not found');
     }
 
-    // If username is being updated, check for uniqueness
-    if (body.username && body.username !== existingUser.Item.username) {
-      const usernameExists = await documentClient.query({
-        TableName: USERS_TABLE,
-        IndexName: 'usernameIndex',
-        KeyConditionExpression: 'username = :username',
-        ExpressionAttributeValues: {
-          ':username': body.username
-        }
-      }).promise();
+    const managed = Object.keys(body).filter(field => MANAGED_FIELDS[field]);
+    if (managed.length > 0) {
+      return errorResponse(400, `These fields cannot be updated directly: ${managed.join(', ')}`,
+        Object.fromEntries(managed.map(field => [field, `Use ${MANAGED_FIELDS[field]}`])));
+    }
 
-      if (usernameExists.Items && usernameExists.Items.length > 0) {
-        return errorResponse(409, 'Username already exists');
-      }
+    const fieldError = validateProfileFields(body);
+    if (fieldError) {
+      return errorResponse(400, fieldError);
     }
 
     const now = new Date().toISOString();
+    const currentUsername = existingUser.Item.username;
+    const renaming = body.username !== undefined && body.username !== currentUsername;
+    // A change of case keeps the same row and is not counted as a rename
+    const caseOnly = renaming && normaliseUsername(body.username) === normaliseUsername(currentUsername);
+
+    if (renaming) {
+      const usernameError = validateUsername(body.username);
+      if (usernameError) {
+        return errorResponse(400, usernameError);
+      }
+    }
+
+    if (renaming && !caseOnly && !hasRole(getCaller(event), 'admin')) {
+      const retryAfter = usernameChangeRetryAfter(existingUser.Item.usernameHistory, now);
+
+      if (retryAfter > 0) {
+        const response = errorResponse(429,
+          `Usernames can be changed ${MAX_USERNAME_CHANGES} times every ${USERNAME_CHANGE_WINDOW_DAYS} days`, { retryAfter });
+        response.headers['Retry-After'] = String(retryAfter);
+        return response;
+      }
+    }
+
     const updateExpressions = [];
     const expressionAttributeNames = {};
     const expressionAttributeValues = {};
 
     // Build dynamic update expression
-    const updateableFields = [
-      'username', 'email', 'privacy', 'currentPlan', 'view', 'aboutMe',
-      'device_tokens', 'subscription', 'tokens', 'basicDetails',
-      'contactDetails', 'physicalStats', 'skills', 'workExperience',
-      'portfolio', 'appliedJobs', 'requestSent', 'requestReceived', 'connections'
-    ];
-
-    updateableFields.forEach(field => {
+    UPDATABLE_FIELDS.forEach(field => {
       if (body[field] !== undefined) {
         updateExpressions.push(`#${field} = :${field}`);
         expressionAttributeNames[`#${field}`] = field;
@@ -316,19 +401,71 @@ export const updateUser = async (event) => {
       Key: { userId },
       UpdateExpression: `SET ${updateExpressions.join(', ')}`,
       ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
+      ExpressionAttributeValues: expressionAttributeValues
     };
 
-    const result = await documentClient.update(params).promise();
+    if (!renaming) {
+      const result = await documentClient.update({ ...params, ReturnValues: 'ALL_NEW' }).promise();
+
+      return successResponse(200, {
+        success: true,
+        message: 'User updated successfully',
+        user: result.Attributes
+      });
+    }
+
+    // Any other rename claims a new row, retires the old one and is recorded
+    // in the history. Either way the profile must still have the username we checked.
+    const renamed = {
+      ...existingUser.Item,
+      ...Object.fromEntries(UPDATABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+    };
+
+    await renameTransaction([
+      {
+        Update: {
+          ...params,
+          ...(!caseOnly && {
+            UpdateExpression: `${params.UpdateExpression}, ` +
+              '#usernameHistory = list_append(if_not_exists(#usernameHistory, :noHistory), :historyEntry)'
+          }),
+          ConditionExpression: '#username = :currentUsername',
+          ExpressionAttributeNames: {
+            ...expressionAttributeNames,
+            '#username': 'username',
+            ...(!caseOnly && { '#usernameHistory': 'usernameHistory' })
+          },
+          ExpressionAttributeValues: {
+            ...expressionAttributeValues,
+            ':currentUsername': currentUsername,
+            ...(!caseOnly && {
+              ':noHistory': [],
+              ':historyEntry': [{ from: currentUsername, to: body.username, changedAt: now }]
+            })
+          }
+        }
+      },
+      ...(caseOnly ? [] : [claimUsernameItem(renamed, now), retireUsernameItem(currentUsername, userId, now)])
+    ]);
+
+    const result = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      ConsistentRead: true
+    }).promise();
 
     return successResponse(200, {
       success: true,
       message: 'User updated successfully',
-      user: result.Attributes
+      user: result.Item
     });
   } catch (error) {
     console.error('UpdateUser error:', error);
+
+    if (error.statusCode) {
+      return errorResponse(error.statusCode, error.message);
+    }
+
     return errorResponse(500, 'Failed to update user', error.message);
   }
 };
@@ -336,6 +473,7 @@ export const updateUser = async (event) => {
 /**
  * Delete user
  * DELETE /users/{userId}
+ * Owner or admin only
  */
 export const deleteUser = async (event) => {
   try {
@@ -345,6 +483,10 @@ export const deleteUser = async (event) => {
       return errorResponse(400, 'Missing required parameter: userId');
     }
 
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
     // Check if user exists
     const existingUser = await documentClient.get({
       TableName: USERS_TABLE,
@@ -355,12 +497,13 @@ export const deleteUser = async (event) => {
       return errorResponse(404, 'User not found');
     }
 
-    const params = {
-      TableName: USERS_TABLE,
-      Key: { userId }
-    };
-
-    await documentClient.delete(params).promise();
+    // Frees the username with the profile
+    await documentClient.transactWrite({
+      TransactItems: [
+        { Delete: { TableName: USERS_TABLE, Key: { userId } } },
+        releaseUsernameItem(existingUser.Item.username, userId)
+      ]
+    }).promise();
 
     return successResponse(200, {
       success: true,
@@ -376,6 +519,8 @@ export const deleteUser = async (event) => {
 /**
  * List all users with pagination
  * GET /users?limit=10&lastKey={lastKey}
+ * Note: Each profile is projected by privacy setting and the caller's relationship.
+ * Users who have blocked each other are left out.
  */
 export const listUsers = async (event) => {
   try {
@@ -391,11 +536,15 @@ export const listUsers = async (event) => {
     }
 
     const result = await documentClient.scan(params).promise();
+    const caller = getCaller(event);
+    const items = result.Items
+      .filter(user => !isBlockedBetween(user, caller.userId))
+      .map(user => projectProfile(user, caller));
 
     return successResponse(200, {
       success: true,
-      items: result.Items,
-      count: result.Items.length,
+      items,
+      count: items.length,
       lastKey: result.LastEvaluatedKey
         ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
         : null
@@ -407,10 +556,12 @@ export const listUsers = async (event) => {
 };
 
 /**
- * Update user view count
- * PUT /users/{userId}/view
+ * Profile completeness score and onboarding checklist
+ * GET /users/{userId}/completeness
+ * Owner or admin only. Computed from the current profile, so it is never
+ * behind the stored `profileCompleteness`.
  */
-export const incrementUserView = async (event) => {
+export const getProfileCompleteness = async (event) => {
   try {
     const { userId } = event.pathParameters;
 
@@ -418,299 +569,227 @@ export const incrementUserView = async (event) => {
       return errorResponse(400, 'Missing required parameter: userId');
     }
 
-    const params = {
-      TableName: USERS_TABLE,
-      Key: { userId },
-      UpdateExpression: 'SET #view = if_not_exists(#view, :zero) + :inc, #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#view': 'view',
-        '#updatedAt': 'updatedAt'
-      },
-      ExpressionAttributeValues: {
-        ':zero': 0,
-        ':inc': 1,
-        ':now': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
-    };
-
-    const result = await documentClient.update(params).promise();
-
-    return successResponse(200, {
-      success: true,
-      message: 'User view incremented',
-      view: result.Attributes.view
-    });
-  } catch (error) {
-    console.error('IncrementUserView error:', error);
-    return errorResponse(500, 'Failed to update user view', error.message);
-  }
-};
-
-/**
- * Add work experience
- * POST /users/{userId}/work-experience
- * Body: { workType, brand, workLink, verified }
- */
-export const addWorkExperience = async (event) => {
-  try {
-    const { userId } = event.pathParameters;
-    const body = JSON.parse(event.body || '{}');
-    const { workType, brand, workLink, verified = false } = body;
-
-    if (!userId) {
-      return errorResponse(400, 'Missing required parameter: userId');
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only view your own profile checklist');
     }
 
-    const missing = validateRequiredFields(body, ['workType', 'brand']);
-    if (missing) {
-      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
-    }
-
-    // Check if user exists
-    const existingUser = await documentClient.get({
+    const result = await documentClient.get({
       TableName: USERS_TABLE,
       Key: { userId }
     }).promise();
 
-    if (!existingUser.Item) {
+    if (!result.Item) {
       return errorResponse(404, 'User not found');
     }
 
-    const workExperienceId = uuidv4();
-    const newWork = {
-      id: workExperienceId,
-      workType,
-      brand,
-      verified,
-      workLink: workLink || '',
-      createdAt: new Date().toISOString()
-    };
-
-    const params = {
-      TableName: USERS_TABLE,
-      Key: { userId },
-      UpdateExpression: 'SET #workExp = list_append(if_not_exists(#workExp, :empty), :work), #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#workExp': 'workExperience',
-        '#updatedAt': 'updatedAt'
-      },
-      ExpressionAttributeValues: {
-        ':empty': [],
-        ':work': [newWork],
-        ':now': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
-    };
-
-    const result = await documentClient.update(params).promise();
-
-    return successResponse(201, {
+    return successResponse(200, {
       success: true,
-      message: 'Work experience added',
-      workExperience: newWork,
-      user: result.Attributes
+      userId,
+      categories: categoriesOf(result.Item.basicDetails),
+      ...computeCompleteness(result.Item)
     });
   } catch (error) {
-    console.error('AddWorkExperience error:', error);
-    return errorResponse(500, 'Failed to add work experience', error.message);
+    console.error('GetProfileCompleteness error:', error);
+    return errorResponse(500, 'Failed to compute profile completeness', error.message);
   }
 };
 
-/**
- * Add portfolio item
- * POST /users/{userId}/portfolio
- * Body: { url, type, selected }
- */
-export const addPortfolioItem = async (event) => {
-  try {
-    const { userId } = event.pathParameters;
-    const body = JSON.parse(event.body || '{}');
-    const { url, type, selected = false } = body;
-
-    if (!userId) {
-      return errorResponse(400, 'Missing required parameter: userId');
-    }
-
-    const missing = validateRequiredFields(body, ['url', 'type']);
-    if (missing) {
-      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
-    }
-
-    // Check if user exists
-    const existingUser = await documentClient.get({
-      TableName: USERS_TABLE,
-      Key: { userId }
-    }).promise();
-
-    if (!existingUser.Item) {
-      return errorResponse(404, 'User not found');
-    }
-
-    const portfolioId = uuidv4();
-    const newPortfolio = {
-      id: portfolioId,
-      url,
-      type,
-      selected,
-      uploadedAt: new Date().toISOString()
-    };
-
-    const params = {
-      TableName: USERS_TABLE,
-      Key: { userId },
-      UpdateExpression: 'SET #portfolio = list_append(if_not_exists(#portfolio, :empty), :item), #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#portfolio': 'portfolio',
-        '#updatedAt': 'updatedAt'
-      },
-      ExpressionAttributeValues: {
-        ':empty': [],
-        ':item': [newPortfolio],
-        ':now': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
-    };
+const MAX_SEARCH_LIMIT = 50;
 
-    const result = await documentClient.update(params).promise();
+const parseList = (value) => (value ? value.split(',').map(normalise).filter(Boolean) : []);
 
-    return successResponse(201, {
-      success: true,
-      message: 'Portfolio item added',
-      portfolioItem: newPortfolio,
-      user: result.Attributes
-    });
-  } catch (error) {
-    console.error('AddPortfolioItem error:', error);
-    return errorResponse(500, 'Failed to add portfolio item', error.message);
+const parseNumber = (value) => {
+  if (value === undefined || value === '') {
+    return null;
   }
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
 };
 
 /**
- * Add connection
- * POST /users/{userId}/connections
- * Body: { senderId, receiverId }
+ * The facet values of an index entry the caller may see. Search runs over the
+ * same privacy rules as profiles, so a hidden field can neither match a filter
+ * nor be counted. Connections are not known to the index - search treats
+ * everyone as a recruiter or anonymous viewer, the stricter of the two.
  */
-export const addConnection = async (event) => {
-  try {
-    const { userId } = event.pathParameters;
-    const body = JSON.parse(event.body || '{}');
-    const { senderId, receiverId } = body;
+const visibleFacets = (entry, caller) => {
+  const relationship = caller.userId === entry.userId
+    ? 'self'
+    : hasRole(caller, 'recruiter') ? 'recruiter' : 'anonymous';
+  const sections = visibleSections(entry.privacy, relationship);
+
+  return {
+    ...(sections.includes('profile') && {
+      gender: entry.gender,
+      age: ageOf(entry),
+      languages: entry.languages,
+      expertise: entry.expertise
+    }),
+    ...(sections.includes('physical') && {
+      heightCm: entry.heightCm
+    })
+  };
+};
 
-    if (!userId) {
-      return errorResponse(400, 'Missing required parameter: userId');
-    }
+/**
+ * Search talent by category, city, gender, age, height, languages and expertise
+ * GET /users/search?category=&city=&gender=&minAge=&maxAge=&minHeight=&maxHeight=&languages=&expertise=&q=&limit=20&cursor={cursor}
+ * Note: Served from the talent index (see src/utils/talentIndex.js), one
+ * category and city partition per search. `languages` and `expertise` are
+ * comma-separated and every value must match; heights are in cm. `q` matches
+ * username or name. Results are ordered by profile completeness, or by birth
+ * date / height when filtering on age / height. `facets` counts the page.
+ * A page can hold fewer than `limit` results while `cursor` is still set.
+ * Users who have blocked each other are left out.
+ * The legacy `q` + `type=category|skills|username` form is still accepted.
+ */
+export const searchUsers = async (event) => {
+  try {
+    const params = { ...(event.queryStringParameters || {}) };
 
-    const missing = validateRequiredFields(body, ['senderId', 'receiverId']);
-    if (missing) {
-      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
+    // Legacy form: ?q=Acting&type=category
+    if (params.type) {
+      if (!['category', 'skills', 'username'].includes(params.type)) {
+        return errorResponse(400, 'Invalid search type. Use: category, skills, or username');
+      }
+      if (!params.q) {
+        return errorResponse(400, 'Missing required parameter: q');
+      }
+      if (params.type === 'category') {
+        params.category = params.q;
+        delete params.q;
+      } else if (params.type === 'skills') {
+        params.skill = params.q;
+        delete params.q;
+      }
     }
 
-    // Check if user exists
-    const existingUser = await documentClient.get({
-      TableName: USERS_TABLE,
-      Key: { userId }
-    }).promise();
+    const limit = Math.min(parseInt(params.limit, 10) || 20, MAX_SEARCH_LIMIT);
+    const minAge = parseNumber(params.minAge);
+    const maxAge = parseNumber(params.maxAge);
+    const minHeight = parseNumber(params.minHeight);
+    const maxHeight = parseNumber(params.maxHeight);
 
-    if (!existingUser.Item) {
-      return errorResponse(404, 'User not found');
+    if ([minAge, maxAge, minHeight, maxHeight].some(Number.isNaN)) {
+      return errorResponse(400, 'Age and height ranges must be non-negative numbers');
     }
 
-    const connectionId = uuidv4();
-    const newConnection = {
-      connectionId,
-      senderId,
-      receiverId,
-      chatId: uuidv4(),
-      connectionStatus: 'pending',
-      connectedAt: new Date().toISOString()
+    const caller = getCaller(event);
+    const relationship = hasRole(caller, 'recruiter') ? 'recruiter' : 'anonymous';
+    const search = {
+      category: params.category,
+      city: params.city,
+      gender: normalise(params.gender),
+      minAge,
+      maxAge,
+      minHeight,
+      maxHeight,
+      languages: parseList(params.languages),
+      expertise: parseList(params.expertise),
+      skill: normalise(params.skill),
+      text: normalise(params.q),
+      viewer: {
+        userId: caller.userId,
+        profilePrivacies: privaciesShowing('profile', relationship),
+        physicalPrivacies: privaciesShowing('physical', relationship)
+      }
     };
 
-    const params = {
-      TableName: USERS_TABLE,
-      Key: { userId },
-      UpdateExpression: 'SET #connections = list_append(if_not_exists(#connections, :empty), :connection), #updatedAt = :now',
-      ExpressionAttributeNames: {
-        '#connections': 'connections',
-        '#updatedAt': 'updatedAt'
-      },
-      ExpressionAttributeValues: {
-        ':empty': [],
-        ':connection': [newConnection],
-        ':now': new Date().toISOString()
-      },
-      ReturnValues: 'ALL_NEW'
-    };
+    let startKey = null;
+    if (params.cursor) {
+      try {
+        startKey = decodeCursor(params.cursor);
+      } catch (error) {
+        startKey = null;
+      }
+      if (!isSearchCursor(startKey, search)) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+    }
 
-    const result = await documentClient.update(params).promise();
+    const { entries, lastKey } = await searchTalentIndex(search, limit, startKey);
+    const results = entries.map(entry => ({ entry, facets: visibleFacets(entry, caller) }));
 
-    return successResponse(201, {
+    return successResponse(200, {
       success: true,
-      message: 'Connection added',
-      connection: newConnection,
-      user: result.Attributes
+      count: results.length,
+      items: results.map(({ entry, facets }) => ({
+        userId: entry.userId,
+        username: entry.username,
+        fullName: entry.fullName,
+        avatarUrl: entry.avatarUrl,
+        category: entry.categories,
+        city: entry.city,
+        profileCompleteness: entry.profileCompleteness,
+        ...(facets.gender && { gender: facets.gender }),
+        ...(facets.age !== undefined && facets.age !== null && { age: facets.age }),
+        ...(facets.heightCm && { heightCm: facets.heightCm })
+      })),
+      facets: countFacets(results),
+      cursor: encodeCursor(lastKey)
     });
   } catch (error) {
-    console.error('AddConnection error:', error);
-    return errorResponse(500, 'Failed to add connection', error.message);
+    console.error('SearchUsers error:', error);
+    return errorResponse(500, 'Failed to search users', error.message);
   }
 };
 
+const MAX_AUTOCOMPLETE_LIMIT = 20;
+
 /**
- * Search users by category or skills
- * GET /users/search?q=query&type=category
+ * Username and name autocomplete, for @-mentions and search-as-you-type
+ * GET /users/autocomplete?prefix=pri&limit=8
+ * Note: Matches the start of the username or the full name, in any case.
+ * An exact username comes first, then username matches, then name matches;
+ * within each, more complete profiles first. Users who have blocked each
+ * other are left out.
  */
-export const searchUsers = async (event) => {
+export const autocompleteUsers = async (event) => {
   try {
-    const { q, type = 'category', limit = 10 } = event.queryStringParameters || {};
+    const { prefix = '', limit } = event.queryStringParameters || {};
+    const key = normaliseUsername(prefix).replace(/\s+/g, ' ');
 
-    if (!q) {
-      return errorResponse(400, 'Missing required parameter: q');
+    if (!key) {
+      return errorResponse(400, 'Missing required parameter: prefix');
     }
 
-    // Since DynamoDB doesn't have full-text search, we scan and filter
-    // For production, consider using Elasticsearch or DynamoDB Query with GSI
-    let filterExpression;
-    const expressionAttributeValues = { ':q': q };
-    const expressionAttributeNames = {};
-
-    if (type === 'category') {
-      filterExpression = 'contains(basicDetails.#category, :q)';
-      expressionAttributeNames['#category'] = 'category';
-    } else if (type === 'skills') {
-      filterExpression = 'contains(#skills.#expertise, :q) OR contains(#skills.#languages, :q)';
-      expressionAttributeNames['#skills'] = 'skills';
-      expressionAttributeNames['#expertise'] = 'expertise';
-      expressionAttributeNames['#languages'] = 'languages';
-    } else if (type === 'username') {
-      filterExpression = 'contains(username, :q)';
-    } else {
-      return errorResponse(400, 'Invalid search type. Use: category, skills, or username');
+    if (key.length > 50) {
+      return errorResponse(400, 'prefix must be at most 50 characters');
     }
 
-    const params = {
-      TableName: USERS_TABLE,
-      FilterExpression: filterExpression,
-      ExpressionAttributeValues: expressionAttributeValues,
-      Limit: parseInt(limit, 10)
-    };
+    const size = Math.min(parseInt(limit, 10) || 8, MAX_AUTOCOMPLETE_LIMIT);
+    const caller = getCaller(event);
 
-    // Only add ExpressionAttributeNames if there are any
-    if (Object.keys(expressionAttributeNames).length > 0) {
-      params.ExpressionAttributeNames = expressionAttributeNames;
-    }
+    // Read more than we return so ranking sees the most complete profiles
+    const { byUsername, byName } = await queryUsernamePrefix(key, MAX_AUTOCOMPLETE_LIMIT * 3);
 
-    const result = await documentClient.scan(params).promise();
+    const rank = (entry) => {
+      if (entry.usernameKey === key) {
+        return 0;
+      }
+      return entry.usernameKey.startsWith(key) ? 1 : 2;
+    };
+
+    const entries = [...new Map([...byUsername, ...byName].map(entry => [entry.userId, entry])).values()]
+      .filter(entry => !caller.userId || !(entry.blockedIds || []).includes(caller.userId))
+      .sort((a, b) => (rank(a) - rank(b)) ||
+        ((b.profileCompleteness || 0) - (a.profileCompleteness || 0)) ||
+        a.usernameKey.localeCompare(b.usernameKey))
+      .slice(0, size);
 
     return successResponse(200, {
       success: true,
-      query: q,
-      type,
-      count: result.Items.length,
-      items: result.Items
+      prefix,
+      count: entries.length,
+      items: entries.map(entry => ({
+        userId: entry.userId,
+        username: entry.username,
+        fullName: entry.fullName || '',
+        avatarUrl: entry.avatarUrl || ''
+      }))
     });
   } catch (error) {
-    console.error('SearchUsers error:', error);
-    return errorResponse(500, 'Failed to search users', error.message);
+    console.error('AutocompleteUsers error:', error);
+    return errorResponse(500, 'Failed to autocomplete users', error.message);
   }
 };
@@ -0,0 +1,773 @@
+import AWS from 'aws-sdk';
+import { v4 as uuidv4 } from 'uuid';
+import documentClient, { decodeCursor, encodeCursor } from '../utils/database.js';
+import { canModifyProfile, getCaller, hasRole } from '../utils/auth.js';
+import { errorHandler, httpError } from '../utils/errors.js';
+import {
+  VERIFICATION_DOCUMENT_TYPES,
+  confirmUpload,
+  createVerificationUploadUrl,
+  getDocumentUrl,
+  getUploadedObject,
+  isVerificationKey
+} from '../utils/media.js';
+import { getProfile, lockedProfileUpdate, requireProfile } from '../utils/profiles.js';
+
+const cognito = new AWS.CognitoIdentityServiceProvider({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const VERIFICATION_REQUESTS_TABLE = process.env.VERIFICATION_REQUESTS_TABLE;
+
+const WORK_TYPES = ['Exhibition', 'Commission', 'Performance', 'Project'];
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+const DECISIONS = ['approved', 'rejected'];
+const MAX_EVIDENCE_ITEMS = 5;
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Success response helper
+ */
+const successResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Error response helper
+ */
+const errorResponse = (statusCode, message, details = null) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Credentials': true,
+  },
+  body: JSON.stringify({
+    success: false,
+    message,
+    ...(details && { details }),
+  }),
+});
+
+/**
+ * Validate required fields
+ */
+const validateRequiredFields = (data, requiredFields) => {
+  const missing = requiredFields.filter(field => !data[field]);
+  return missing.length === 0 ? null : missing;
+};
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Find a work experience entry on a user
+ */
+const findWork = (user, workId) => {
+  const work = (user.workExperience || []).find(entry => entry.id === workId);
+
+  if (!work) {
+    throw httpError(404, 'Work experience not found');
+  }
+
+  return work;
+};
+
+/**
+ * Transaction item replacing the user's work experience list
+ */
+const saveWorkExperience = (user, workExperience, now) => ({
+  Update: lockedProfileUpdate(user, { workExperience }, now)
+});
+
+/**
+ * Transaction item moving a pending verification request to a final status
+ * and appending it to the request's history
+ */
+const closeRequest = (requestId, status, by, now, note = '') => ({
+  Update: {
+    TableName: VERIFICATION_REQUESTS_TABLE,
+    Key: { requestId },
+    UpdateExpression: 'SET #status = :status, #updatedAt = :now, #history = list_append(#history, :entry)' +
+      (status === 'withdrawn' ? '' : ', #reviewedBy = :by, #reviewedAt = :now, #reviewNote = :note'),
+    ConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#updatedAt': 'updatedAt',
+      '#history': 'history',
+      ...(status !== 'withdrawn' && {
+        '#reviewedBy': 'reviewedBy',
+        '#reviewedAt': 'reviewedAt',
+        '#reviewNote': 'reviewNote'
+      })
+    },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':now': now,
+      ':pending': 'pending',
+      ':entry': [{ status, by, at: now, note }],
+      ...(status !== 'withdrawn' && { ':by': by, ':note': note })
+    }
+  }
+});
+
+/**
+ * Run a transaction, mapping a lost race to 409
+ */
+const transact = async (items) => {
+  try {
+    await documentClient.transactWrite({ TransactItems: items }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      throw httpError(409, 'Work experience was changed by another request. Please retry.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether a user is in the recruiter group
+ */
+const isRecruiter = async (userId) => {
+  try {
+    const result = await cognito.adminListGroupsForUser({
+      UserPoolId: process.env.USER_POOL_ID,
+      Username: userId
+    }).promise();
+
+    return result.Groups.some(group => group.GroupName === 'recruiter');
+  } catch (error) {
+    if (error.code === 'UserNotFoundException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const brandName = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+/**
+ * Whether an admin has verified the user as acting for the brand
+ * (PUT /admin/users/{userId}/brand). Names are compared ignoring case.
+ */
+const isVerifiedForBrand = async (userId, brand) => {
+  const profile = await getProfile(userId);
+  const verified = brandName(profile?.verifiedBrand?.name);
+
+  return Boolean(verified) && verified === brandName(brand);
+};
+
+/**
+ * Validate evidence items; uploaded documents must exist and match the allowed
+ * types, and are confirmed once every item is valid
+ */
+const parseEvidence = async (userId, evidence) => {
+  if (!Array.isArray(evidence) || evidence.length === 0 || evidence.length > MAX_EVIDENCE_ITEMS) {
+    throw httpError(400, `evidence must be a list of 1 to ${MAX_EVIDENCE_ITEMS} items`);
+  }
+
+  const parsed = [];
+
+  for (const item of evidence) {
+    if (item?.type === 'link') {
+      if (!isHttpsUrl(item.url)) {
+        throw httpError(400, 'Evidence links must be valid https URLs');
+      }
+      parsed.push({ type: 'link', url: item.url });
+    } else if (item?.type === 'document') {
+      if (!isVerificationKey(userId, item.key)) {
+        throw httpError(400, 'Invalid document key. Use the key returned by the upload-url endpoint');
+      }
+
+      const uploaded = await getUploadedObject(item.key);
+      const documentType = uploaded && VERIFICATION_DOCUMENT_TYPES[uploaded.contentType];
+
+      if (!documentType || uploaded.size > documentType.maxBytes) {
+        throw httpError(400, 'Evidence document not found, of an unsupported type, or too large');
+      }
+
+      parsed.push({ type: 'document', key: item.key, contentType: uploaded.contentType });
+    } else {
+      throw httpError(400, 'Each evidence item must be { type: "link", url } or { type: "document", key }');
+    }
+  }
+
+  await Promise.all(parsed.filter(item => item.type === 'document').map(item => confirmUpload(item.key)));
+
+  return parsed;
+};
+
+/**
+ * Attach short-lived read URLs to a request's evidence documents
+ */
+const withDocumentUrls = async (request) => ({
+  ...request,
+  evidence: await Promise.all((request.evidence || []).map(async item => (
+    item.type === 'document' ? { ...item, url: await getDocumentUrl(item.key) } : item
+  )))
+});
+
+/**
+ * Map errors from the shared logic to responses
+ */
+const handleError = errorHandler(errorResponse);
+
+/**
+ * Add work experience
+ * POST /users/{userId}/work-experience
+ * Body: { workType, brand, workLink }
+ * Owner or admin only. Entries always start unverified - `verified` is only
+ * set by an approved verification request.
+ */
+export const addWorkExperience = async (event) => {
+  try {
+    const { userId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { workType, brand, workLink = '' } = body;
+
+    if (!userId) {
+      return errorResponse(400, 'Missing required parameter: userId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    const missing = validateRequiredFields(body, ['workType', 'brand']);
+    if (missing) {
+      return errorResponse(400, `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    if (!WORK_TYPES.includes(workType)) {
+      return errorResponse(400, `Invalid workType. Must be one of: ${WORK_TYPES.join(', ')}`);
+    }
+
+    if (workLink && !isHttpsUrl(workLink)) {
+      return errorResponse(400, 'workLink must be a valid https URL');
+    }
+
+    const now = new Date().toISOString();
+    const newWork = {
+      id: uuidv4(),
+      workType,
+      brand,
+      verified: false,
+      verification: null,
+      workLink,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET #workExp = list_append(if_not_exists(#workExp, :empty), :work), #updatedAt = :now',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeNames: {
+        '#workExp': 'workExperience',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':work': [newWork],
+        ':now': now
+      },
+      ReturnValues: 'ALL_NEW'
+    };
+
+    const result = await documentClient.update(params).promise();
+
+    return successResponse(201, {
+      success: true,
+      message: 'Work experience added',
+      workExperience: newWork,
+      user: result.Attributes
+    });
+  } catch (error) {
+    console.error('AddWorkExperience error:', error);
+
+    if (error.code === 'ConditionalCheckFailedException') {
+      return errorResponse(404, 'User not found');
+    }
+
+    return errorResponse(500, 'Failed to add work experience', error.message);
+  }
+};
+
+/**
+ * Update work experience
+ * PATCH /users/{userId}/work-experience/{workId}
+ * Body: { workType, brand, workLink }
+ * Owner or admin only. Changing a verified entry clears its verification,
+ * and a pending verification request is withdrawn.
+ */
+export const updateWorkExperience = async (event) => {
+  try {
+    const { userId, workId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+
+    if (!userId || !workId) {
+      return errorResponse(400, 'Missing required parameters: userId, workId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    if (body.verified !== undefined || body.verification !== undefined) {
+      return errorResponse(400, 'verified changes only through a verification request');
+    }
+
+    const changes = Object.fromEntries(
+      ['workType', 'brand', 'workLink']
+        .filter(field => body[field] !== undefined)
+        .map(field => [field, body[field]])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return errorResponse(400, 'Nothing to update. Provide workType, brand and/or workLink');
+    }
+
+    if (changes.workType !== undefined && !WORK_TYPES.includes(changes.workType)) {
+      return errorResponse(400, `Invalid workType. Must be one of: ${WORK_TYPES.join(', ')}`);
+    }
+
+    if (changes.brand !== undefined && !changes.brand) {
+      return errorResponse(400, 'brand cannot be empty');
+    }
+
+    if (changes.workLink && !isHttpsUrl(changes.workLink)) {
+      return errorResponse(400, 'workLink must be a valid https URL');
+    }
+
+    const user = await requireProfile(userId);
+    const work = findWork(user, workId);
+    const changed = Object.keys(changes).some(field => changes[field] !== work[field]);
+
+    if (!changed) {
+      return successResponse(200, {
+        success: true,
+        message: 'Work experience unchanged',
+        workExperience: work
+      });
+    }
+
+    const now = new Date().toISOString();
+    const pendingRequestId = work.verification?.status === 'pending' ? work.verification.requestId : null;
+    const updated = {
+      ...work,
+      ...changes,
+      verified: false,
+      verification: null,
+      updatedAt: now
+    };
+
+    await transact([
+      saveWorkExperience(user, user.workExperience.map(entry => (entry.id === workId ? updated : entry)), now),
+      ...(pendingRequestId ? [closeRequest(pendingRequestId, 'withdrawn', getCaller(event).userId, now, 'Entry edited')] : [])
+    ]);
+
+    return successResponse(200, {
+      success: true,
+      message: work.verified || pendingRequestId
+        ? 'Work experience updated. It must be verified again.'
+        : 'Work experience updated',
+      workExperience: updated
+    });
+  } catch (error) {
+    return handleError('UpdateWorkExperience', error, 'Failed to update work experience');
+  }
+};
+
+/**
+ * Delete work experience
+ * DELETE /users/{userId}/work-experience/{workId}
+ * Owner or admin only. A pending verification request is withdrawn.
+ */
+export const deleteWorkExperience = async (event) => {
+  try {
+    const { userId, workId } = event.pathParameters;
+
+    if (!userId || !workId) {
+      return errorResponse(400, 'Missing required parameters: userId, workId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    const user = await requireProfile(userId);
+    const work = findWork(user, workId);
+    const now = new Date().toISOString();
+    const pendingRequestId = work.verification?.status === 'pending' ? work.verification.requestId : null;
+
+    await transact([
+      saveWorkExperience(user, user.workExperience.filter(entry => entry.id !== workId), now),
+      ...(pendingRequestId ? [closeRequest(pendingRequestId, 'withdrawn', getCaller(event).userId, now, 'Entry deleted')] : [])
+    ]);
+
+    return successResponse(200, {
+      success: true,
+      message: 'Work experience deleted',
+      workId
+    });
+  } catch (error) {
+    return handleError('DeleteWorkExperience', error, 'Failed to delete work experience');
+  }
+};
+
+/**
+ * Get a presigned upload URL for a verification evidence document
+ * POST /users/{userId}/work-experience/{workId}/verification/upload-url
+ * Body: { contentType, contentLength }
+ * Owner or admin only. POST the file to `upload.url` with `upload.fields`, then
+ * pass the returned `key` as document evidence. The upload may be at most
+ * `contentLength` bytes.
+ */
+export const getVerificationUploadUrl = async (event) => {
+  try {
+    const { userId, workId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { contentType } = body;
+    const contentLength = Number(body.contentLength);
+
+    if (!userId || !workId) {
+      return errorResponse(400, 'Missing required parameters: userId, workId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    const documentType = VERIFICATION_DOCUMENT_TYPES[contentType];
+
+    if (!documentType) {
+      return errorResponse(400, `Invalid contentType. Must be one of: ${Object.keys(VERIFICATION_DOCUMENT_TYPES).join(', ')}`);
+    }
+
+    if (!Number.isInteger(contentLength) || contentLength <= 0) {
+      return errorResponse(400, 'contentLength must be the file size in bytes');
+    }
+
+    if (contentLength > documentType.maxBytes) {
+      return errorResponse(400, `File too large. Documents are limited to ${documentType.maxBytes / (1024 * 1024)} MB`);
+    }
+
+    findWork(await requireProfile(userId), workId);
+
+    const upload = await createVerificationUploadUrl(userId, contentType, contentLength);
+
+    return successResponse(200, {
+      success: true,
+      ...upload,
+      maxBytes: contentLength
+    });
+  } catch (error) {
+    return handleError('GetVerificationUploadUrl', error, 'Failed to create upload URL');
+  }
+};
+
+/**
+ * Request verification of a work experience entry
+ * POST /users/{userId}/work-experience/{workId}/verification
+ * Body: { evidence: [{ type: 'link', url } | { type: 'document', key }], brandContactId, note }
+ * Owner or admin only. Admins can decide every request; `brandContactId`
+ * optionally names a recruiter verified for the entry's brand, who can
+ * decide it too.
+ */
+export const requestVerification = async (event) => {
+  try {
+    const { userId, workId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { brandContactId } = body;
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+
+    if (!userId || !workId) {
+      return errorResponse(400, 'Missing required parameters: userId, workId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only modify your own profile');
+    }
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return errorResponse(400, `note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    if (brandContactId !== undefined && (typeof brandContactId !== 'string' || !brandContactId)) {
+      return errorResponse(400, 'brandContactId must be a user id');
+    }
+
+    const user = await requireProfile(userId);
+    const work = findWork(user, workId);
+
+    if (brandContactId !== undefined && (brandContactId === userId ||
+      !(await isRecruiter(brandContactId)) || !(await isVerifiedForBrand(brandContactId, work.brand)))) {
+      return errorResponse(400, 'brandContactId must be another user with the recruiter role, verified for this brand');
+    }
+
+    if (work.verified) {
+      return errorResponse(409, 'This work experience is already verified');
+    }
+
+    if (work.verification?.status === 'pending') {
+      return errorResponse(409, 'A verification request for this work experience is already pending');
+    }
+
+    const evidence = await parseEvidence(userId, body.evidence);
+    const now = new Date().toISOString();
+    const requestId = uuidv4();
+    const requestedBy = getCaller(event).userId;
+
+    const request = {
+      requestId,
+      userId,
+      workId,
+      workType: work.workType,
+      brand: work.brand,
+      workLink: work.workLink || '',
+      evidence,
+      note,
+      // brandContactId is an index key, so it must be omitted rather than left empty
+      ...(brandContactId && { brandContactId }),
+      status: 'pending',
+      history: [{ status: 'pending', by: requestedBy, at: now, note }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const verification = { requestId, status: 'pending', updatedAt: now };
+
+    await transact([
+      {
+        Put: {
+          TableName: VERIFICATION_REQUESTS_TABLE,
+          Item: request,
+          ConditionExpression: 'attribute_not_exists(requestId)'
+        }
+      },
+      saveWorkExperience(
+        user,
+        user.workExperience.map(entry => (entry.id === workId ? { ...entry, verification } : entry)),
+        now
+      )
+    ]);
+
+    return successResponse(201, {
+      success: true,
+      message: 'Verification requested',
+      request
+    });
+  } catch (error) {
+    return handleError('RequestVerification', error, 'Failed to request verification');
+  }
+};
+
+/**
+ * Verification history of a work experience entry, newest first
+ * GET /users/{userId}/work-experience/{workId}/verification
+ * Owner or admin only
+ */
+export const getVerificationHistory = async (event) => {
+  try {
+    const { userId, workId } = event.pathParameters;
+
+    if (!userId || !workId) {
+      return errorResponse(400, 'Missing required parameters: userId, workId');
+    }
+
+    if (!canModifyProfile(event, userId)) {
+      return errorResponse(403, 'You can only view your own verification requests');
+    }
+
+    let requests = [];
+    let lastKey;
+
+    do {
+      const result = await documentClient.query({
+        TableName: VERIFICATION_REQUESTS_TABLE,
+        IndexName: 'userIndex',
+        KeyConditionExpression: 'userId = :userId',
+        FilterExpression: 'workId = :workId',
+        ExpressionAttributeValues: { ':userId': userId, ':workId': workId },
+        ScanIndexForward: false,
+        ...(lastKey && { ExclusiveStartKey: lastKey })
+      }).promise();
+
+      requests = requests.concat(result.Items);
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    const items = await Promise.all(requests.map(withDocumentUrls));
+
+    return successResponse(200, {
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('GetVerificationHistory error:', error);
+    return errorResponse(500, 'Failed to fetch verification history', error.message);
+  }
+};
+
+/**
+ * List verification requests to review, oldest first
+ * GET /verification-requests?status=pending&limit=20&cursor={cursor}
+ * Admins see every request; recruiters see the requests naming them as brand contact
+ */
+export const listVerificationRequests = async (event) => {
+  try {
+    const caller = getCaller(event);
+    const isAdmin = hasRole(caller, 'admin');
+
+    if (!isAdmin && !hasRole(caller, 'recruiter')) {
+      return errorResponse(403, 'Admin or recruiter access required');
+    }
+
+    const { status = 'pending', cursor } = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(event.queryStringParameters?.limit, 10) || 20, 100);
+
+    if (!REQUEST_STATUSES.includes(status)) {
+      return errorResponse(400, `Invalid status. Must be one of: ${REQUEST_STATUSES.join(', ')}`);
+    }
+
+    let exclusiveStartKey;
+    if (cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(cursor);
+      } catch (error) {
+        return errorResponse(400, 'Invalid cursor');
+      }
+    }
+
+    const params = isAdmin
+      ? {
+        IndexName: 'statusIndex',
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeValues: { ':status': status }
+      }
+      : {
+        IndexName: 'brandContactIndex',
+        KeyConditionExpression: 'brandContactId = :brandContactId',
+        FilterExpression: '#status = :status',
+        ExpressionAttributeValues: { ':brandContactId': caller.userId, ':status': status }
+      };
+
+    const result = await documentClient.query({
+      TableName: VERIFICATION_REQUESTS_TABLE,
+      ...params,
+      ExpressionAttributeNames: { '#status': 'status' },
+      ScanIndexForward: true,
+      Limit: limit,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+    }).promise();
+
+    const items = await Promise.all(result.Items.map(withDocumentUrls));
+
+    return successResponse(200, {
+      success: true,
+      items,
+      count: items.length,
+      cursor: encodeCursor(result.LastEvaluatedKey)
+    });
+  } catch (error) {
+    console.error('ListVerificationRequests error:', error);
+    return errorResponse(500, 'Failed to list verification requests', error.message);
+  }
+};
+
+/**
+ * Approve or reject a verification request
+ * POST /verification-requests/{requestId}/review
+ * Body: { decision: 'approved' | 'rejected', note }
+ * An admin, or the recruiter named as brand contact while they are still
+ * verified for the request's brand, decides the request; `verified` on the
+ * work experience entry is set only on approval.
+ */
+export const reviewVerification = async (event) => {
+  try {
+    const caller = getCaller(event);
+    const { requestId } = event.pathParameters;
+    const body = JSON.parse(event.body || '{}');
+    const { decision } = body;
+    const note = typeof body.note === 'string' ? body.note.trim() : '';
+
+    if (!requestId) {
+      return errorResponse(400, 'Missing required parameter: requestId');
+    }
+
+    if (!DECISIONS.includes(decision)) {
+      return errorResponse(400, `Invalid decision. Must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return errorResponse(400, `note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    const result = await documentClient.get({
+      TableName: VERIFICATION_REQUESTS_TABLE,
+      Key: { requestId },
+      ConsistentRead: true
+    }).promise();
+
+    const request = result.Item;
+
+    if (!request) {
+      return errorResponse(404, 'Verification request not found');
+    }
+
+    const isBrandContact = Boolean(request.brandContactId) &&
+      request.brandContactId === caller.userId && hasRole(caller, 'recruiter') &&
+      await isVerifiedForBrand(caller.userId, request.brand);
+
+    if (!hasRole(caller, 'admin') && !isBrandContact) {
+      return errorResponse(403, 'Only an admin or the named brand contact can review this request');
+    }
+
+    if (caller.userId === request.userId) {
+      return errorResponse(403, 'You cannot review your own verification request');
+    }
+
+    if (request.status !== 'pending') {
+      return errorResponse(409, `Verification request is already ${request.status}`);
+    }
+
+    const now = new Date().toISOString();
+    const user = await requireProfile(request.userId);
+    const work = findWork(user, request.workId);
+
+    const updated = {
+      ...work,
+      verified: decision === 'approved',
+      verification: { requestId, status: decision, updatedAt: now },
+      updatedAt: now
+    };
+
+    await transact([
+      closeRequest(requestId, decision, caller.userId, now, note),
+      saveWorkExperience(user, user.workExperience.map(entry => (entry.id === work.id ? updated : entry)), now)
+    ]);
+
+    return successResponse(200, {
+      success: true,
+      message: decision === 'approved' ? 'Work experience verified' : 'Verification request rejected',
+      requestId,
+      workExperience: updated
+    });
+  } catch (error) {
+    return handleError('ReviewVerification', error, 'Failed to review verification request');
+  }
+};
@@ -0,0 +1,202 @@
+import AWS from 'aws-sdk';
+import { randomInt } from 'crypto';
+
+const ses = new AWS.SES({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const sns = new AWS.SNS({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const OTP_LENGTH = 6;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '3', 10);
+const OTP_EMAIL_SOURCE = process.env.OTP_EMAIL_SOURCE;
+
+/**
+ * Generate a numeric one-time code
+ */
+const generateCode = () => randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+/**
+ * Mask an email or phone number for display (j***@example.com, +91******3210)
+ */
+const maskDestination = (destination, medium) => {
+  if (medium === 'EMAIL') {
+    const [local, domain] = destination.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+  }
+
+  return `${destination.slice(0, 3)}******${destination.slice(-4)}`;
+};
+
+/**
+ * The flow starts with a channel round: the client answers the first
+ * challenge with EMAIL or SMS, and the code goes out in the next one.
+ * ClientMetadata on InitiateAuth never reaches CreateAuthChallenge, so the
+ * channel has to come back as an answer. The code rounds record it in their
+ * challengeMetadata (CODE-{medium}-{code}) so retries reuse both.
+ */
+const CHANNEL_STEP = 'CHANNEL';
+
+/**
+ * Where to deliver the code on a channel, or null when the user has no
+ * verified email / phone number for it
+ */
+const resolveDelivery = (userAttributes, medium) => {
+  if (medium === 'EMAIL' && userAttributes.email && userAttributes.email_verified === 'true') {
+    return { medium, destination: userAttributes.email };
+  }
+
+  if (medium === 'SMS' && userAttributes.phone_number && userAttributes.phone_number_verified === 'true') {
+    return { medium, destination: userAttributes.phone_number };
+  }
+
+  return null;
+};
+
+/**
+ * Deliver the code by email (SES) or SMS (SNS)
+ */
+const sendCode = async ({ medium, destination }, code) => {
+  const message = `Your ArtistHub login code is ${code}. It expires in a few minutes. Do not share it with anyone.`;
+
+  if (medium === 'EMAIL') {
+    await ses.sendEmail({
+      Source: OTP_EMAIL_SOURCE,
+      Destination: { ToAddresses: [destination] },
+      Message: {
+        Subject: { Data: 'Your ArtistHub login code' },
+        Body: { Text: { Data: message } }
+      }
+    }).promise();
+    return;
+  }
+
+  await sns.publish({
+    PhoneNumber: destination,
+    Message: message,
+    MessageAttributes: {
+      'AWS.SNS.SMS.SMSType': {
+        DataType: 'String',
+        StringValue: 'Transactional'
+      }
+    }
+  }).promise();
+};
+
+/**
+ * Define Auth Challenge trigger
+ * Decides whether to issue tokens, fail, or present another challenge - the
+ * channel round first, then up to OTP_MAX_ATTEMPTS code rounds.
+ */
+export const defineAuthChallenge = async (event) => {
+  const session = event.request.session || [];
+  const [channelRound, ...codeAttempts] = session;
+  const lastAttempt = codeAttempts[codeAttempts.length - 1];
+
+  if (event.request.userNotFound) {
+    event.response.issueTokens = false;
+    event.response.failAuthentication = true;
+    return event;
+  }
+
+  // Only the OTP custom challenge is allowed in this flow
+  if (session.some(attempt => attempt.challengeName !== 'CUSTOM_CHALLENGE')) {
+    event.response.issueTokens = false;
+    event.response.failAuthentication = true;
+    return event;
+  }
+
+  // The channel round fails when the user cannot receive codes there
+  if (channelRound && (channelRound.challengeMetadata !== CHANNEL_STEP || channelRound.challengeResult !== true)) {
+    event.response.issueTokens = false;
+    event.response.failAuthentication = true;
+    return event;
+  }
+
+  if (lastAttempt && lastAttempt.challengeResult === true) {
+    event.response.issueTokens = true;
+    event.response.failAuthentication = false;
+    return event;
+  }
+
+  if (codeAttempts.length >= OTP_MAX_ATTEMPTS) {
+    event.response.issueTokens = false;
+    event.response.failAuthentication = true;
+    return event;
+  }
+
+  event.response.issueTokens = false;
+  event.response.failAuthentication = false;
+  event.response.challengeName = 'CUSTOM_CHALLENGE';
+  return event;
+};
+
+/**
+ * Create Auth Challenge trigger
+ * The first round asks for the channel. The first code round generates and
+ * sends the code to the channel answered (passed again as ClientMetadata);
+ * retries within the same session reuse it so a wrong guess does not trigger
+ * another email/SMS.
+ */
+export const createAuthChallenge = async (event) => {
+  const session = event.request.session || [];
+
+  if (session.length === 0) {
+    event.response.publicChallengeParameters = { STEP: CHANNEL_STEP };
+    event.response.privateChallengeParameters = { step: CHANNEL_STEP };
+    event.response.challengeMetadata = CHANNEL_STEP;
+    return event;
+  }
+
+  let medium;
+  let code;
+  const previous = [...session].reverse().find(attempt => attempt.challengeMetadata?.startsWith('CODE-'));
+
+  if (previous) {
+    [, medium, code] = previous.challengeMetadata.split('-');
+  } else {
+    medium = event.request.clientMetadata?.channel;
+    code = generateCode();
+  }
+
+  const delivery = resolveDelivery(event.request.userAttributes, medium);
+
+  if (!delivery) {
+    throw new Error('No verified email or phone number to deliver the login code');
+  }
+
+  if (!previous) {
+    await sendCode(delivery, code);
+  }
+
+  event.response.publicChallengeParameters = {
+    STEP: 'CODE',
+    CODE_DELIVERY_DELIVERY_MEDIUM: delivery.medium,
+    CODE_DELIVERY_DESTINATION: maskDestination(delivery.destination, delivery.medium),
+    ATTEMPTS_REMAINING: String(OTP_MAX_ATTEMPTS - (session.length - 1))
+  };
+  event.response.privateChallengeParameters = { answer: code };
+  event.response.challengeMetadata = `CODE-${delivery.medium}-${code}`;
+
+  return event;
+};
+
+/**
+ * Verify Auth Challenge Response trigger
+ * The channel round accepts a channel the user can receive codes on
+ */
+export const verifyAuthChallenge = async (event) => {
+  const answer = (event.request.challengeAnswer || '').toString().trim();
+
+  if (event.request.privateChallengeParameters?.step === CHANNEL_STEP) {
+    event.response.answerCorrect = resolveDelivery(event.request.userAttributes, answer) !== null;
+    return event;
+  }
+
+  const expected = event.request.privateChallengeParameters?.answer;
+
+  event.response.answerCorrect = Boolean(expected) && answer === expected;
+  return event;
+};
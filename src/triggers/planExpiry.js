@@ -0,0 +1,36 @@
+import { PAID_PLANS } from '../utils/plans.js';
+import { downgradeLapsedPlan, queryLapsedPlans } from '../utils/subscriptions.js';
+
+/**
+ * Scheduled plan expiry (see serverless.yml)
+ * Moves users whose paid plan has lapsed - cancelled and past its period end,
+ * or not renewed within the grace period - back to the free plan. A plan
+ * renewed between the query and the write is left alone, and a renewal that
+ * arrives after the downgrade restores the plan, so it is safe to re-run.
+ */
+export const handler = async () => {
+  const now = new Date().toISOString();
+  let downgraded = 0;
+  let renewed = 0;
+  let failed = 0;
+
+  for (const plan of PAID_PLANS) {
+    const userIds = await queryLapsedPlans(plan, now);
+
+    for (const userId of userIds) {
+      try {
+        if (await downgradeLapsedPlan(userId, plan, now)) {
+          downgraded += 1;
+        } else {
+          renewed += 1;
+        }
+      } catch (error) {
+        // Retried on the next run
+        console.error('PlanExpiry error:', userId, error);
+        failed += 1;
+      }
+    }
+  }
+
+  return { downgraded, renewed, failed };
+};
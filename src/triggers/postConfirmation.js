@@ -0,0 +1,67 @@
+import AWS from 'aws-sdk';
+import documentClient from '../utils/database.js';
+import { buildUserProfile, createProfile, generateUniqueUsername } from '../utils/userProfile.js';
+
+const cognito = new AWS.CognitoIdentityServiceProvider({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const DEFAULT_ROLE = 'artist';
+
+/**
+ * Post Confirmation trigger
+ * Creates the UsersTable profile keyed by the Cognito `sub` as soon as an
+ * account is confirmed, so every token maps one-to-one to a profile.
+ * New accounts also join the default artist role.
+ */
+export const handler = async (event) => {
+  // Also fires after a forgotten password is reset - nothing to provision then
+  if (event.triggerSource !== 'PostConfirmation_ConfirmSignUp') {
+    return event;
+  }
+
+  const { sub, email, phone_number, name = '' } = event.request.userAttributes;
+
+  try {
+    const existing = await documentClient.get({
+      TableName: USERS_TABLE,
+      Key: { userId: sub }
+    }).promise();
+
+    if (!existing.Item) {
+      const [firstName = '', ...lastName] = name.trim().split(/\s+/);
+      const username = await generateUniqueUsername(name || email || phone_number);
+
+      const user = buildUserProfile(sub, {
+        username,
+        email,
+        basicDetails: {
+          firstName,
+          lastName: lastName.join(' '),
+          fullName: name.trim()
+        },
+        contactDetails: {
+          email,
+          phone: phone_number
+        }
+      });
+
+      await createProfile(user);
+    }
+  } catch (error) {
+    // A concurrent confirmation already created it
+    if (error.conflict !== 'profile') {
+      console.error('PostConfirmation profile error:', error);
+      throw error;
+    }
+  }
+
+  await cognito.adminAddUserToGroup({
+    UserPoolId: event.userPoolId,
+    Username: event.userName,
+    GroupName: DEFAULT_ROLE
+  }).promise();
+
+  return event;
+};
@@ -0,0 +1,104 @@
+import AWS from 'aws-sdk';
+import documentClient from '../utils/database.js';
+import { computeCompleteness } from '../utils/completeness.js';
+import { buildIndexItems, syncTalentIndex } from '../utils/talentIndex.js';
+import { backfillUsernameEntry, syncUsernameEntry } from '../utils/usernames.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Keep `profileCompleteness` in step with the profile.
+ * The write goes only when the score changed, so the stream record it
+ * produces ends the loop. updatedAt is left alone (see src/utils/profiles.js).
+ */
+const syncCompleteness = async (user) => {
+  const { score } = computeCompleteness(user);
+
+  if (user.profileCompleteness === score) {
+    return;
+  }
+
+  try {
+    await documentClient.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: 'SET #profileCompleteness = :score',
+      ConditionExpression: 'attribute_exists(userId)',
+      ExpressionAttributeNames: { '#profileCompleteness': 'profileCompleteness' },
+      ExpressionAttributeValues: { ':score': score }
+    }).promise();
+  } catch (error) {
+    // Deleted since the change was recorded
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+};
+
+const unmarshall = (image) => (image ? AWS.DynamoDB.Converter.unmarshall(image) : null);
+
+/**
+ * UsersTable stream trigger
+ * Runs derived-data updates for every inserted, modified or removed profile:
+ * the completeness score, the talent search index and the autocomplete fields
+ * of the username row. Failed records are reported individually so only they
+ * are retried.
+ */
+export const handler = async (event) => {
+  const batchItemFailures = [];
+
+  for (const record of event.Records) {
+    try {
+      const oldUser = unmarshall(record.dynamodb?.OldImage);
+      const newUser = unmarshall(record.dynamodb?.NewImage);
+
+      if (newUser) {
+        await syncCompleteness(newUser);
+      }
+
+      await syncTalentIndex(oldUser, newUser);
+      await syncUsernameEntry(oldUser, newUser);
+    } catch (error) {
+      console.error('UserStream error:', error);
+      batchItemFailures.push({ itemIdentifier: record.dynamodb.SequenceNumber });
+    }
+  }
+
+  return { batchItemFailures };
+};
+
+/**
+ * Rebuild the talent index and username rows from UsersTable
+ * Invoked by hand (see serverless.yml); idempotent, so it is safe to re-run.
+ * Entries of deleted users are not swept - the stream removes those.
+ * Usernames that clash with another user's in a different case are returned
+ * in `usernameConflicts` and need renaming.
+ */
+export const reindex = async () => {
+  let lastKey;
+  let users = 0;
+  let entries = 0;
+  const usernameConflicts = [];
+
+  do {
+    const page = await documentClient.scan({
+      TableName: USERS_TABLE,
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    for (const user of page.Items) {
+      await syncTalentIndex(null, user);
+
+      if (user.username && !(await backfillUsernameEntry(user))) {
+        usernameConflicts.push({ userId: user.userId, username: user.username });
+      }
+
+      users += 1;
+      entries += buildIndexItems(user).length;
+    }
+
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+
+  return { users, entries, usernameConflicts };
+};
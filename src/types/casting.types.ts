@@ -57,7 +57,6 @@ export interface ICastingJob {
  * Request/Response Types
  */
 export interface ICreateJobRequest {
-  userId: string;
   jobTitle: string;
   jobDescription: string;
   jobCategory: string;
@@ -74,8 +73,11 @@ export interface ICreateJobRequest {
 
 export interface IUpdateJobRequest extends Partial<ICreateJobRequest> {}
 
+export interface IVerifyJobRequest {
+  verified?: boolean;
+}
+
 export interface IApplyForJobRequest {
-  userId: string;
   avatarUrl?: string;
 }
 
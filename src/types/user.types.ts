@@ -46,17 +46,52 @@ export interface IWorkExperience {
   id: string;
   workType: 'Exhibition' | 'Commission' | 'Performance' | 'Project';
   brand: string;
-  verified: boolean;
+  verified: boolean; // Set only by an approved verification request
+  verification: {
+    requestId: string;
+    status: 'pending' | 'approved' | 'rejected';
+    updatedAt: Date | string;
+  } | null;
   workLink?: string;
   createdAt: Date | string;
+  updatedAt?: Date | string;
+}
+
+export type IVerificationEvidence =
+  | { type: 'link'; url: string }
+  | { type: 'document'; key: string; contentType?: string; url?: string }; // url: short-lived read URL
+
+// Work experience verification request, with its status history
+export interface IVerificationRequest {
+  requestId: string;
+  userId: string;
+  workId: string;
+  workType: IWorkExperience['workType'];
+  brand: string;
+  workLink: string;
+  evidence: IVerificationEvidence[];
+  note: string;
+  brandContactId?: string; // Recruiter verified for the brand, who may decide the request
+  status: 'pending' | 'approved' | 'rejected' | 'withdrawn';
+  history: { status: string; by: string; at: Date | string; note: string }[];
+  reviewedBy?: string;
+  reviewedAt?: Date | string;
+  reviewNote?: string;
+  createdAt: Date | string;
+  updatedAt: Date | string;
 }
 
 export interface IPortfolioItem {
   id: string;
+  key: string | null; // S3 key for uploads, null for external links
   url: string;
   type: 'image' | 'video';
-  selected: boolean;
+  contentType?: string;
+  size?: number; // Bytes
+  caption: string;
+  selected: boolean; // Highlight - at most 6 per portfolio
   uploadedAt: Date | string;
+  updatedAt?: Date | string;
 }
 
 export interface IAppliedJob {
@@ -71,7 +106,9 @@ export interface IConnection {
   receiverId: string;
   chatId: string;
   connectionStatus: 'pending' | 'connected' | 'rejected';
-  connectedAt: Date | string;
+  connectedAt: Date | string | null; // Set when the request is accepted
+  requestedAt?: Date | string;
+  updatedAt?: Date | string;
 }
 
 export interface IRequest {
@@ -80,11 +117,74 @@ export interface IRequest {
   chatId: string;
 }
 
+export type PlanName = 'free' | 'premium' | 'professional';
+
+// Set by checkout and the payment webhook only
 export interface ISubscription {
-  activePlan: 'free' | 'premium' | 'professional';
+  activePlan: PlanName;
   startDate: Date | string;
-  renewalDate?: Date | string;
-  status: 'active' | 'inactive' | 'cancelled';
+  renewalDate?: Date | string | null; // End of the paid period
+  status: 'active' | 'cancelled' | 'expired';
+  provider?: string;
+  subscriptionId?: string;
+  cancelledAt?: Date | string;
+  endedAt?: Date | string; // When a paid plan lapsed or was ended
+}
+
+// A null limit is unlimited
+export interface IPlanEntitlements {
+  monthlyJobApplications: number | null;
+  portfolioSlots: number | null;
+  monthlyJobPosts: number | null;
+  profileViewers: boolean;
+}
+
+// GET /plans
+export interface IPlan {
+  plan: PlanName;
+  name: string;
+  price: number; // Paise per billing period
+  currency: string;
+  billingPeriodDays: number;
+  entitlements: IPlanEntitlements;
+}
+
+// `details` of the 403 returned when a plan limit is reached
+export interface IPlanLimitDetails {
+  plan: PlanName;
+  entitlement: keyof IPlanEntitlements;
+  limit: number | boolean | null;
+  resetsAt?: Date | string; // Monthly allowances only
+  upgradeTo: PlanName[];
+}
+
+// GET /me/subscription
+export interface IMySubscription {
+  plan: PlanName;
+  subscription: ISubscription | null;
+  entitlements: IPlanEntitlements;
+  usage: {
+    period: string; // YYYY-MM (UTC)
+    resetsAt: Date | string;
+    jobApplications: number;
+    jobPosts: number;
+    portfolioItems: number;
+  };
+}
+
+// POST /me/subscription/checkout
+export interface ICreateCheckoutRequest {
+  plan: Exclude<PlanName, 'free'>;
+  successUrl?: string;
+  cancelUrl?: string;
+}
+
+export interface ICheckout {
+  checkoutId: string;
+  checkoutUrl: string;
+  plan: Exclude<PlanName, 'free'>;
+  amount: number;
+  currency: string;
 }
 
 export interface ITokens {
@@ -93,16 +193,180 @@ export interface ITokens {
   IdToken: string;
 }
 
+// Login session per device, as returned by GET /me/sessions
+export interface ISession {
+  userId: string;
+  sessionId: string;
+  deviceName: string;
+  platform: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  pushToken: string | null;
+  createdAt: Date | string;
+  lastSeenAt: Date | string;
+}
+
+// Chat message, keyed by chatId + messageKey ({sentAt}#{messageId})
+export interface IMessage {
+  chatId: string;
+  messageKey: string;
+  messageId: string;
+  senderId: string;
+  recipientId: string;
+  text: string;
+  sentAt: Date | string;
+  read?: boolean; // Only on the caller's own messages
+}
+
+// Per-user inbox entry for a chat
+export interface IConversation {
+  userId: string;
+  chatId: string;
+  otherUserId: string;
+  lastMessage: {
+    messageId: string;
+    senderId: string;
+    preview: string;
+    sentAt: Date | string;
+  };
+  lastMessageAt: Date | string;
+  lastReadAt?: Date | string;
+  unreadCount: number;
+}
+
+type ICompletenessSection = 'basicDetails' | 'contactDetails' | 'physicalStats' | 'skills' | 'portfolio' | 'workExperience';
+
+// GET /users/{userId}/completeness
+export interface IProfileCompleteness {
+  userId: string;
+  categories: string[];
+  score: number;
+  weights: Record<ICompletenessSection, number>;
+  sections: Partial<Record<ICompletenessSection, { weight: number; score: number; missing: string[] }>>;
+  missing: { id: string; section: ICompletenessSection; label: string }[];
+}
+
+// Row of the Usernames table - one per username, keyed case-insensitively
+export interface IUsernameEntry {
+  usernameKey: string; // username in lower case
+  usernameInitial: string;
+  username: string; // as typed
+  userId: string;
+  fullName: string;
+  avatarUrl: string;
+  profileCompleteness: number;
+  blockedIds: string[];
+  nameInitial?: string; // Omitted when the profile has no name
+  nameKey?: string; // {lower-case name}#{usernameKey}
+  claimedAt: Date | string;
+}
+
+// Row of a username given up in a rename - reserved for its previous owner
+// during the cool-off, and used to redirect old links
+export interface IRetiredUsernameEntry {
+  usernameKey: string;
+  username: string;
+  userId: string;
+  status: 'retired';
+  retiredAt: Date | string;
+  expiresAt: number; // Epoch seconds (TTL)
+}
+
+export interface IUsernameChange {
+  from: string;
+  to: string;
+  changedAt: Date | string;
+}
+
+export interface IAutocompleteResult {
+  userId: string;
+  username: string;
+  fullName: string;
+  avatarUrl: string;
+}
+
+export interface IProfileViewCounts {
+  views: number;
+  users: number;
+  recruiters: number;
+  anonymous: number;
+}
+
+// GET /users/{userId}/analytics
+export interface IProfileAnalytics {
+  userId: string;
+  from: string; // YYYY-MM-DD
+  to: string;
+  allTimeViews: number;
+  totals: IProfileViewCounts;
+  series: (IProfileViewCounts & { date: string })[];
+}
+
+// GET /users/{userId}/viewers - signed-in viewers only
+export interface IProfileViewer {
+  userId: string;
+  username: string;
+  fullName: string;
+  avatarUrl: string;
+  isRecruiter: boolean;
+  views: number; // Days on which they viewed the profile
+  firstViewedAt: Date | string;
+  lastViewedAt: Date | string;
+}
+
+// Query parameters of GET /users/search; list values are comma-separated
+export interface ISearchUsersQuery {
+  category?: string; // A single category to filter by; profiles hold a list (IBasicDetails['category'])
+  city?: string;
+  gender?: string;
+  minAge?: number;
+  maxAge?: number;
+  minHeight?: number; // cm
+  maxHeight?: number; // cm
+  languages?: string;
+  expertise?: string;
+  q?: string;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface ITalentSearchResult {
+  userId: string;
+  username: string;
+  fullName: string;
+  avatarUrl: string;
+  category: string[];
+  city: string;
+  profileCompleteness: number;
+  gender?: string; // Only when visible to the caller
+  age?: number;
+  heightCm?: number;
+}
+
+export interface ISearchUsersResponse {
+  success: true;
+  count: number;
+  items: ITalentSearchResult[];
+  facets: Record<'category' | 'city' | 'gender' | 'age' | 'height' | 'languages' | 'expertise', Record<string, number>>;
+  cursor: string | null;
+}
+
 export interface IUser {
   userId: string;
   username: string;
-  email: string;
+  email?: string; // Omitted for phone-only accounts
+  cognitoSub?: string; // Linked Cognito identity (social login)
   privacy: 'public' | 'private' | 'semi-private';
-  currentPlan: 'free' | 'premium' | 'professional';
+  currentPlan: PlanName;
+  mfaEnabled?: boolean; // Mirrors Cognito MFA; required for recruiters
+  verifiedBrand?: { name: string; verifiedBy: string; verifiedAt: Date | string }; // Recruiters only, set by an admin
   view: number;
+  profileCompleteness: number; // 0-100, computed from the profile
   aboutMe?: string;
   device_tokens: string[];
   subscription: ISubscription;
+  paidPlan?: PlanName; // Set only while on a paid plan (planExpiryIndex)
+  planExpiresAt?: Date | string;
   tokens: ITokens;
   basicDetails: IBasicDetails;
   contactDetails: IContactDetails;
@@ -114,6 +378,9 @@ export interface IUser {
   requestSent: IRequest[];
   requestReceived: IRequest[];
   connections: IConnection[];
+  blockedUsers: string[]; // Users this user has blocked
+  blockedBy: string[]; // Users who have blocked this user
+  usernameHistory?: IUsernameChange[]; // Renames, oldest first; case-only changes are not recorded
   createdAt: Date | string;
   updatedAt: Date | string;
 }
@@ -125,36 +392,104 @@ export interface ICreateUserRequest {
   username: string;
   email: string;
   privacy?: string;
-  currentPlan?: string;
   aboutMe?: string;
   basicDetails?: Partial<IBasicDetails>;
   contactDetails?: Partial<IContactDetails>;
   physicalStats?: Partial<IPhysicalStats>;
   skills?: Partial<ISkills>;
-  subscription?: Partial<ISubscription>;
   tokens?: Partial<ITokens>;
 }
 
-export interface IUpdateUserRequest extends Partial<ICreateUserRequest> {}
+// Fields owned by other flows (view, plan, tokens, email, ...) are rejected by updateUser
+export interface IUpdateUserRequest {
+  username?: string;
+  privacy?: string;
+  aboutMe?: string;
+  basicDetails?: Partial<IBasicDetails>;
+  contactDetails?: Partial<IContactDetails>;
+  physicalStats?: Partial<IPhysicalStats>;
+  skills?: Partial<ISkills>;
+}
 
 export interface IAddWorkExperienceRequest {
-  workType: string;
+  workType: IWorkExperience['workType'];
   brand: string;
   workLink?: string;
-  verified?: boolean;
 }
 
+export type IUpdateWorkExperienceRequest = Partial<IAddWorkExperienceRequest>;
+
+export interface IRequestVerificationRequest {
+  evidence: ({ type: 'link'; url: string } | { type: 'document'; key: string })[];
+  brandContactId?: string;
+  note?: string;
+}
+
+export interface ISetUserBrandRequest {
+  brand: string | null; // null clears it
+  reason?: string;
+}
+
+export interface IReviewVerificationRequest {
+  decision: 'approved' | 'rejected';
+  note?: string;
+}
+
+export interface IPortfolioUploadUrlRequest {
+  contentType: 'image/jpeg' | 'image/png' | 'image/webp' | 'video/mp4' | 'video/quicktime';
+  contentLength: number; // Bytes
+}
+
+// Either `key` (confirm an upload) or `url` + `type` (external link)
 export interface IAddPortfolioRequest {
-  url: string;
-  type: 'image' | 'video';
+  key?: string;
+  url?: string;
+  type?: 'image' | 'video';
+  caption?: string;
   selected?: boolean;
 }
 
-export interface IAddConnectionRequest {
-  senderId: string;
+export interface IUpdatePortfolioItemRequest {
+  caption?: string;
+  selected?: boolean;
+}
+
+export interface IReorderPortfolioRequest {
+  itemIds: string[];
+}
+
+export interface ISendConnectionRequest {
   receiverId: string;
 }
 
+export interface IBlockUserRequest {
+  blockedUserId: string;
+}
+
+export interface IReportUserRequest {
+  category: 'spam' | 'fake-account' | 'scam' | 'harassment' | 'impersonation' | 'inappropriate-content' | 'other';
+  details?: string; // Required for 'other'
+}
+
+// User report in the admin moderation queue
+export interface IReport {
+  reportId: string;
+  reportedUserId: string;
+  reporterId: string;
+  category: IReportUserRequest['category'];
+  details: string;
+  status: 'open' | 'actioned' | 'dismissed';
+  note?: string;
+  resolvedBy?: string;
+  resolvedAt?: Date | string;
+  createdAt: Date | string;
+  updatedAt: Date | string;
+}
+
+export interface ISendMessageRequest {
+  text: string;
+}
+
 export interface IApiResponse<T = any> {
   statusCode: number;
   headers: {
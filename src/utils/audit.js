@@ -0,0 +1,43 @@
+import { randomUUID } from 'crypto';
+import documentClient from './database.js';
+import { getCaller } from './auth.js';
+
+const AUDIT_LOG_TABLE = process.env.AUDIT_LOG_TABLE;
+
+/**
+ * Record an admin action, or a user's own account deletion, in the audit trail
+ * Entries are keyed by the affected user (targetId) and sorted by time
+ */
+export const writeAuditLog = async (event, action, targetId, details = {}) => {
+  const createdAt = new Date().toISOString();
+  const auditId = randomUUID();
+
+  await documentClient.put({
+    TableName: AUDIT_LOG_TABLE,
+    Item: {
+      targetId,
+      auditKey: `${createdAt}#${auditId}`,
+      auditId,
+      action,
+      actorId: getCaller(event).userId,
+      sourceIp: event.requestContext?.http?.sourceIp || null,
+      details,
+      createdAt
+    }
+  }).promise();
+};
+
+/**
+ * Most recent audit entries for a user, newest first
+ */
+export const getAuditLog = async (targetId, limit = 20) => {
+  const result = await documentClient.query({
+    TableName: AUDIT_LOG_TABLE,
+    KeyConditionExpression: 'targetId = :targetId',
+    ExpressionAttributeValues: { ':targetId': targetId },
+    ScanIndexForward: false,
+    Limit: limit
+  }).promise();
+
+  return result.Items;
+};
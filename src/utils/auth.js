@@ -0,0 +1,66 @@
+/**
+ * Roles are Cognito user pool groups and arrive in the `cognito:groups` claim
+ */
+export const ROLES = ['artist', 'recruiter', 'admin'];
+
+/**
+ * Normalise the `cognito:groups` claim. The HTTP API JWT authorizer flattens
+ * array claims into a string such as "[admin recruiter]".
+ */
+const parseGroups = (groups) => {
+  if (!groups) {
+    return [];
+  }
+
+  if (Array.isArray(groups)) {
+    return groups;
+  }
+
+  return groups
+    .replace(/^\[|\]$/g, '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Read the caller's identity from the API Gateway authorizer context.
+ * Routes use the tokenAuthorizer Lambda (context in `authorizer.lambda`);
+ * a JWT authorizer's claims are read as a fallback.
+ * Returns { userId, roles, plan, authType } - userId is null on unauthenticated routes
+ */
+export const getCaller = (event) => {
+  const authorizer = event.requestContext?.authorizer || {};
+
+  if (authorizer.lambda) {
+    const { userId, roles, plan, authType } = authorizer.lambda;
+
+    return {
+      userId: userId || null,
+      roles: roles ? roles.split(',').filter(Boolean) : [],
+      plan: plan || 'free',
+      authType
+    };
+  }
+
+  const claims = authorizer.jwt?.claims || {};
+
+  return {
+    userId: claims.sub || null,
+    roles: parseGroups(claims['cognito:groups']),
+    plan: 'free',
+    authType: claims.sub ? 'jwt' : null
+  };
+};
+
+/**
+ * Check whether the caller has at least one of the given roles
+ */
+export const hasRole = (caller, ...roles) => roles.some(role => caller.roles.includes(role));
+
+/**
+ * Whether the caller may act on a profile - its owner or an admin
+ */
+export const canModifyProfile = (event, userId) => {
+  const caller = getCaller(event);
+  return caller.userId === userId || hasRole(caller, 'admin');
+};
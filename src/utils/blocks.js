@@ -0,0 +1,9 @@
+/**
+ * Whether either user has blocked the other.
+ * Blocks are stored on both profiles - `blockedUsers` on the blocker and
+ * `blockedBy` on the blocked user - so one profile is enough to tell.
+ */
+export const isBlockedBetween = (user, otherUserId) => Boolean(otherUserId) && (
+  (user.blockedUsers || []).includes(otherUserId) ||
+  (user.blockedBy || []).includes(otherUserId)
+);
@@ -0,0 +1,158 @@
+/**
+ * Profile completeness - a 0-100 score plus the checklist of missing items.
+ *
+ * The score is a weighted average of sections; inside a section every item
+ * counts equally. Section weights depend on the user's `basicDetails.category`
+ * (e.g. physical stats matter for Modeling, not Writing). A user with several
+ * categories gets the highest weight any of them gives a section, and a
+ * section weighted 0 is left out of both the score and the checklist.
+ */
+
+const filled = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value && String(value).trim()));
+
+/**
+ * A profile's categories as a list. createUser and updateUser only accept a
+ * list, but older profiles may hold a single category as a string.
+ */
+export const categoriesOf = (basicDetails = {}) => {
+  const { category } = basicDetails || {};
+  const list = Array.isArray(category) ? category : [category];
+  return list.filter(value => typeof value === 'string' && value.trim());
+};
+
+/**
+ * Checklist items per section
+ */
+const CHECKLIST = {
+  basicDetails: [
+    { id: 'name', label: 'Add your full name', check: ({ basicDetails: b = {} }) => filled(b.fullName) || (filled(b.firstName) && filled(b.lastName)) },
+    { id: 'avatar', label: 'Upload a profile photo', check: ({ basicDetails: b = {} }) => filled(b.avatarUrl) },
+    { id: 'category', label: 'Choose your categories', check: ({ basicDetails: b = {} }) => filled(b.category) },
+    { id: 'gender', label: 'Add your gender', check: ({ basicDetails: b = {} }) => filled(b.gender) },
+    { id: 'age', label: 'Add your date of birth', check: ({ basicDetails: b = {} }) => filled(b.birthDate) || Boolean(b.age) },
+    { id: 'city', label: 'Add your city', check: ({ basicDetails: b = {} }) => filled(b.city) },
+    { id: 'aboutMe', label: 'Write a short bio', check: (user) => filled(user.aboutMe) }
+  ],
+  contactDetails: [
+    { id: 'email', label: 'Add a contact email', check: ({ contactDetails: c = {} }) => filled(c.email) },
+    { id: 'phone', label: 'Add a phone number', check: ({ contactDetails: c = {} }) => filled(c.phone) },
+    {
+      id: 'socials',
+      label: 'Link at least one social profile',
+      check: ({ contactDetails: c = {} }) => ['instagram', 'facebook', 'twitter', 'youtube'].some(field => filled(c[field]))
+    }
+  ],
+  physicalStats: [
+    { id: 'height', label: 'Add your height', check: ({ physicalStats: p = {} }) => filled(p.height) },
+    { id: 'weight', label: 'Add your weight', check: ({ physicalStats: p = {} }) => filled(p.weight) },
+    {
+      id: 'measurements',
+      label: 'Add your measurements',
+      check: ({ physicalStats: p = {} }) =>
+        (filled(p.bust) && filled(p.waist) && filled(p.hips)) || (filled(p.chest) && filled(p.waist))
+    },
+    { id: 'hair', label: 'Add your hair type and length', check: ({ physicalStats: p = {} }) => filled(p.hairType) && filled(p.hairLength) }
+  ],
+  skills: [
+    { id: 'expertise', label: 'List your areas of expertise', check: ({ skills: s = {} }) => filled(s.expertise) },
+    { id: 'languages', label: 'List the languages you speak', check: ({ skills: s = {} }) => filled(s.languages) }
+  ],
+  portfolio: [
+    { id: 'items', label: 'Add at least 3 portfolio items', check: (user) => (user.portfolio || []).length >= 3 },
+    { id: 'highlight', label: 'Select a portfolio highlight', check: (user) => (user.portfolio || []).some(item => item.selected) }
+  ],
+  workExperience: [
+    { id: 'entry', label: 'Add your work experience', check: (user) => (user.workExperience || []).length > 0 },
+    { id: 'verified', label: 'Get a work experience entry verified', check: (user) => (user.workExperience || []).some(work => work.verified) }
+  ]
+};
+
+/**
+ * Section weights for profiles without a category, and the base for every category
+ */
+export const DEFAULT_WEIGHTS = {
+  basicDetails: 25,
+  contactDetails: 15,
+  physicalStats: 10,
+  skills: 15,
+  portfolio: 20,
+  workExperience: 15
+};
+
+/**
+ * Per-category overrides of DEFAULT_WEIGHTS
+ */
+export const CATEGORY_WEIGHTS = {
+  Acting: { physicalStats: 15 },
+  Modeling: { physicalStats: 25, portfolio: 25 },
+  Dancing: { physicalStats: 15 },
+  Singing: { physicalStats: 5 },
+  Comedy: { physicalStats: 5 },
+  'Voice Acting': { physicalStats: 0 },
+  Writing: { physicalStats: 0 },
+  Editing: { physicalStats: 0 },
+  Photography: { physicalStats: 0, portfolio: 25 },
+  Makeup: { physicalStats: 0, portfolio: 25 },
+  Production: { physicalStats: 0 },
+  Design: { physicalStats: 0, portfolio: 25 }
+};
+
+/**
+ * Section weights for a set of categories
+ */
+export const getWeights = (categories = []) => {
+  const known = categories.filter(category => CATEGORY_WEIGHTS[category]);
+
+  if (known.length === 0) {
+    return { ...DEFAULT_WEIGHTS };
+  }
+
+  return Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(section => [
+    section,
+    Math.max(...known.map(category => CATEGORY_WEIGHTS[category][section] ?? DEFAULT_WEIGHTS[section]))
+  ]));
+};
+
+/**
+ * Score a profile
+ * Returns { score, weights, sections: { [section]: { weight, score, missing } }, missing: [{ id, section, label }] }
+ * `missing` is ordered by how much each item would add to the score.
+ */
+export const computeCompleteness = (user) => {
+  const weights = getWeights(categoriesOf(user.basicDetails));
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const sections = {};
+  const missing = [];
+  let weighted = 0;
+
+  for (const [section, items] of Object.entries(CHECKLIST)) {
+    const weight = weights[section];
+
+    if (!weight) {
+      continue;
+    }
+
+    const sectionMissing = items.filter(item => !item.check(user));
+    const done = items.length - sectionMissing.length;
+
+    weighted += weight * (done / items.length);
+    sections[section] = {
+      weight,
+      score: Math.round((done / items.length) * 100),
+      missing: sectionMissing.map(item => item.id)
+    };
+
+    for (const item of sectionMissing) {
+      missing.push({ id: `${section}.${item.id}`, section, label: item.label, gain: weight / items.length });
+    }
+  }
+
+  missing.sort((a, b) => b.gain - a.gain);
+
+  return {
+    score: totalWeight ? Math.round((weighted / totalWeight) * 100) : 0,
+    weights,
+    sections,
+    missing: missing.map(({ gain, ...item }) => item)
+  };
+};
@@ -1,13 +1,27 @@
-const dynamodb = require('aws-sdk/clients/dynamodb')
-const documentClient = new dynamodb.DocumentClient({
-    region: process.env.REGION || 'ap-south-1',
-    maxRetries: 3,
-    httpOptions: {
-        timeout: 5000
-    }   
-})
+import AWS from 'aws-sdk';
 
-module.exports = documentClient
+const documentClient = new AWS.DynamoDB.DocumentClient({
+  region: process.env.REGION || 'ap-south-1',
+  maxRetries: 3,
+  httpOptions: {
+    timeout: 5000
+  }
+});
 
+/**
+ * Which items of a cancelled transaction failed their condition.
+ * aws-sdk v2 only reports the reasons in the message, e.g.
+ * "Transaction cancelled, please refer cancellation reasons for specific reasons [None, ConditionalCheckFailed]"
+ */
+export const cancellationReasons = (error) => {
+  const match = /\[([^\]]*)\]/.exec(error.message || '');
+  return match ? match[1].split(',').map(reason => reason.trim()) : [];
+};
 
+/**
+ * Opaque pagination cursors wrapping a query's LastEvaluatedKey
+ */
+export const encodeCursor = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64') : null);
+export const decodeCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64').toString());
 
+export default documentClient;
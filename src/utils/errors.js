@@ -0,0 +1,17 @@
+/**
+ * Error carrying an HTTP status, thrown from shared handler logic
+ */
+export const httpError = (statusCode, message, details = null) => Object.assign(new Error(message), { statusCode, details });
+
+/**
+ * Build a handler's catch-all from its errorResponse: errors with a status
+ * become that response, anything else is logged and becomes a 500
+ */
+export const errorHandler = (errorResponse) => (name, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return errorResponse(error.statusCode, error.message, error.details);
+  }
+
+  console.error(`${name} error:`, error);
+  return errorResponse(500, fallbackMessage, error.message);
+};
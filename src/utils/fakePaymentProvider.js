@@ -0,0 +1,92 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+/**
+ * Payment provider for local development and tests. No money moves:
+ * checkout returns a placeholder URL, and a "payment" is simulated by POSTing
+ * a signed event to the webhook.
+ *
+ * Events are JSON: { id, type, data: { checkoutId, subscriptionId, currentPeriodEnd } }
+ * where type is subscription.activated, subscription.renewed or subscription.cancelled.
+ * The `x-fake-signature` header is "t={unix seconds},v1={hex}", where v1 is the
+ * HMAC-SHA256 of "{t}.{raw body}" keyed with PAYMENT_WEBHOOK_SECRET.
+ */
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+/**
+ * Signed events older (or newer) than this are rejected, so a captured
+ * request cannot be replayed later
+ */
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const CHECKOUT_BASE_URL = process.env.FAKE_CHECKOUT_URL || 'http://localhost:3000/fake-checkout';
+
+const webhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  return secret;
+};
+
+const sign = (timestamp, rawBody, secret) => (
+  createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+);
+
+/**
+ * Headers for a webhook call, for local scripts and tests
+ */
+export const signWebhook = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => ({
+  [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody, webhookSecret())}`
+});
+
+const createCheckout = async ({ checkoutId }) => ({
+  providerCheckoutId: `fake_cs_${randomUUID()}`,
+  checkoutUrl: `${CHECKOUT_BASE_URL}/${checkoutId}`
+});
+
+const verifyWebhook = (rawBody, headers) => {
+  const parts = Object.fromEntries(
+    String(headers[SIGNATURE_HEADER] || '')
+      .split(',')
+      .map(part => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!parts.v1 || !Number.isInteger(timestamp) ||
+    Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(timestamp, rawBody, webhookSecret()), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return null;
+  }
+
+  const data = payload.data || {};
+
+  return {
+    eventId: payload.id,
+    type: payload.type,
+    checkoutId: data.checkoutId || null,
+    subscriptionId: data.subscriptionId || null,
+    currentPeriodEnd: data.currentPeriodEnd || null
+  };
+};
+
+export default {
+  name: 'fake',
+  createCheckout,
+  verifyWebhook
+};
@@ -0,0 +1,153 @@
+import documentClient from './database.js';
+
+const LOGIN_ATTEMPTS_TABLE = process.env.LOGIN_ATTEMPTS_TABLE;
+
+/**
+ * Failure limits per scope, within a sliding window.
+ * Identifier limits stop guessing against one account; IP limits stop one
+ * source spraying many accounts.
+ */
+export const ATTEMPT_LIMITS = {
+  login: { identifier: 5, ip: 20, windowSeconds: 15 * 60 },
+  otp: { identifier: 5, ip: 20, windowSeconds: 15 * 60 },
+  confirm: { identifier: 5, ip: 20, windowSeconds: 15 * 60 },
+  'password-reset': { identifier: 5, ip: 20, windowSeconds: 60 * 60 }
+};
+
+export const SCOPES = Object.keys(ATTEMPT_LIMITS);
+
+// Each lockout doubles: 1 min, 2 min, 4 min ... capped at 1 day
+const BASE_LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+
+// Lockout history is forgotten after a day without failures
+const RECORD_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Cognito error codes that count as a failed attempt
+ */
+export const COUNTED_FAILURES = ['NotAuthorizedException', 'UserNotFoundException', 'CodeMismatchException'];
+
+const identifierKey = (scope, identifier) => `${scope}#id#${identifier.toLowerCase()}`;
+const ipKey = (scope, sourceIp) => `${scope}#ip#${sourceIp}`;
+
+const keysFor = (scope, identifier, sourceIp) => [
+  { key: identifierKey(scope, identifier), limit: ATTEMPT_LIMITS[scope].identifier },
+  ...(sourceIp ? [{ key: ipKey(scope, sourceIp), limit: ATTEMPT_LIMITS[scope].ip }] : [])
+];
+
+/**
+ * Check whether an identifier or source IP is locked out
+ * Returns { locked: false } or { locked: true, retryAfter } (seconds)
+ */
+export const checkLockout = async (scope, identifier, sourceIp) => {
+  const now = Date.now();
+  let retryAfter = 0;
+
+  for (const { key } of keysFor(scope, identifier, sourceIp)) {
+    const result = await documentClient.get({
+      TableName: LOGIN_ATTEMPTS_TABLE,
+      Key: { key }
+    }).promise();
+
+    if (result.Item?.lockedUntil > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((result.Item.lockedUntil - now) / 1000));
+    }
+  }
+
+  return retryAfter > 0 ? { locked: true, retryAfter } : { locked: false };
+};
+
+/**
+ * Record one failed attempt against a key, locking it out once the window
+ * limit is reached. Uses a version attribute to avoid lost updates.
+ */
+const recordKeyFailure = async (key, limit, windowSeconds) => {
+  for (let retry = 0; retry < 3; retry++) {
+    const now = Date.now();
+    const result = await documentClient.get({
+      TableName: LOGIN_ATTEMPTS_TABLE,
+      Key: { key }
+    }).promise();
+
+    const record = result.Item || { key, attempts: [], lockoutCount: 0, version: 0 };
+    const attempts = (record.attempts || []).filter(at => at > now - windowSeconds * 1000);
+    attempts.push(now);
+
+    const item = {
+      key,
+      attempts,
+      lockoutCount: record.lockoutCount || 0,
+      lockedUntil: record.lockedUntil || 0,
+      version: (record.version || 0) + 1,
+      expiresAt: Math.floor(now / 1000) + RECORD_TTL_SECONDS
+    };
+
+    if (attempts.length >= limit) {
+      const lockoutSeconds = Math.min(BASE_LOCKOUT_SECONDS * 2 ** item.lockoutCount, MAX_LOCKOUT_SECONDS);
+      item.lockoutCount += 1;
+      item.lockedUntil = now + lockoutSeconds * 1000;
+      item.attempts = [];
+      item.expiresAt = Math.floor(item.lockedUntil / 1000) + RECORD_TTL_SECONDS;
+    }
+
+    try {
+      await documentClient.put({
+        TableName: LOGIN_ATTEMPTS_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(#key) OR #version = :version',
+        ExpressionAttributeNames: {
+          '#key': 'key',
+          '#version': 'version'
+        },
+        ExpressionAttributeValues: {
+          ':version': record.version || 0
+        }
+      }).promise();
+      return;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Record a failed attempt for an identifier and source IP
+ */
+export const recordFailure = async (scope, identifier, sourceIp) => {
+  const { windowSeconds } = ATTEMPT_LIMITS[scope];
+
+  for (const { key, limit } of keysFor(scope, identifier, sourceIp)) {
+    await recordKeyFailure(key, limit, windowSeconds);
+  }
+};
+
+/**
+ * Forget failures and lockouts for an identifier (after a successful attempt
+ * or an admin unlock). IP records are left to expire on their own.
+ */
+export const clearFailures = async (scopes, identifier) => {
+  for (const scope of [].concat(scopes)) {
+    await documentClient.delete({
+      TableName: LOGIN_ATTEMPTS_TABLE,
+      Key: { key: identifierKey(scope, identifier) }
+    }).promise();
+  }
+};
+
+/**
+ * Run a Cognito request, recording a failed attempt if it fails with a
+ * counted error. The error is rethrown for the handler to map.
+ */
+export const trackFailures = async (scope, identifier, sourceIp, request) => {
+  try {
+    return await request;
+  } catch (error) {
+    if (COUNTED_FAILURES.includes(error.code)) {
+      await recordFailure(scope, identifier, sourceIp);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,162 @@
+import AWS from 'aws-sdk';
+import { randomUUID } from 'crypto';
+
+const s3 = new AWS.S3({
+  region: process.env.REGION || 'ap-south-1',
+  signatureVersion: 'v4'
+});
+
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+
+const MB = 1024 * 1024;
+
+/**
+ * Content types accepted for portfolio uploads, with their size limits
+ */
+export const PORTFOLIO_MEDIA_TYPES = {
+  'image/jpeg': { type: 'image', extension: 'jpg', maxBytes: 10 * MB },
+  'image/png': { type: 'image', extension: 'png', maxBytes: 10 * MB },
+  'image/webp': { type: 'image', extension: 'webp', maxBytes: 10 * MB },
+  'video/mp4': { type: 'video', extension: 'mp4', maxBytes: 200 * MB },
+  'video/quicktime': { type: 'video', extension: 'mov', maxBytes: 200 * MB }
+};
+
+/**
+ * Evidence documents for work experience verification. These are private -
+ * reviewers read them through short-lived presigned URLs.
+ */
+export const VERIFICATION_DOCUMENT_TYPES = {
+  'application/pdf': { extension: 'pdf', maxBytes: 10 * MB },
+  'image/jpeg': { extension: 'jpg', maxBytes: 10 * MB },
+  'image/png': { extension: 'png', maxBytes: 10 * MB }
+};
+
+export const UPLOAD_URL_EXPIRY_SECONDS = 300;
+const DOCUMENT_URL_EXPIRY_SECONDS = 900;
+
+/**
+ * Storage keys are namespaced per user so a key can be checked against its owner
+ */
+const portfolioPrefix = (userId) => `portfolio/${userId}/`;
+const verificationPrefix = (userId) => `verification/${userId}/`;
+
+const hasPrefix = (prefix, key) => typeof key === 'string' && key.startsWith(prefix) && !key.includes('..');
+
+export const isPortfolioKey = (userId, key) => hasPrefix(portfolioPrefix(userId), key);
+export const isVerificationKey = (userId, key) => hasPrefix(verificationPrefix(userId), key);
+
+/**
+ * Public URL of a stored object. The bucket policy allows reads under portfolio/;
+ * keys are random, so they cannot be listed or guessed.
+ */
+export const mediaUrl = (key) => `https://${MEDIA_BUCKET}.s3.${process.env.REGION || 'ap-south-1'}.amazonaws.com/${key}`;
+
+/**
+ * Uploads are tagged pending until the handler that uses them confirms them;
+ * the bucket's lifecycle rule expires pending objects that are never confirmed
+ * (see resources/S3.yaml).
+ */
+const PENDING_TAGGING = '<Tagging><TagSet><Tag><Key>upload</Key><Value>pending</Value></Tag></TagSet></Tagging>';
+
+/**
+ * Presigned POST for one object. S3 rejects a file of another Content-Type
+ * or larger than `maxBytes`.
+ * Returns { upload: { url, fields }, key, expiresIn }
+ */
+const createUpload = (key, contentType, maxBytes) => new Promise((resolve, reject) => {
+  s3.createPresignedPost({
+    Bucket: MEDIA_BUCKET,
+    Fields: {
+      key,
+      'Content-Type': contentType,
+      tagging: PENDING_TAGGING
+    },
+    Conditions: [['content-length-range', 1, maxBytes]],
+    Expires: UPLOAD_URL_EXPIRY_SECONDS
+  }, (error, upload) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve({ upload, key, expiresIn: UPLOAD_URL_EXPIRY_SECONDS });
+    }
+  });
+});
+
+/**
+ * Issue a presigned POST for a new portfolio object of at most `maxBytes`
+ */
+export const createPortfolioUploadUrl = (userId, contentType, maxBytes) => {
+  const { extension } = PORTFOLIO_MEDIA_TYPES[contentType];
+  return createUpload(`${portfolioPrefix(userId)}${randomUUID()}.${extension}`, contentType, maxBytes);
+};
+
+/**
+ * Issue a presigned POST for a verification evidence document of at most `maxBytes`
+ */
+export const createVerificationUploadUrl = (userId, contentType, maxBytes) => {
+  const { extension } = VERIFICATION_DOCUMENT_TYPES[contentType];
+  return createUpload(`${verificationPrefix(userId)}${randomUUID()}.${extension}`, contentType, maxBytes);
+};
+
+/**
+ * Keep an upload: removes its pending tag so the lifecycle rule leaves it alone
+ */
+export const confirmUpload = (key) => s3.deleteObjectTagging({ Bucket: MEDIA_BUCKET, Key: key }).promise();
+
+/**
+ * Short-lived URL for reading a private document
+ */
+export const getDocumentUrl = (key) => s3.getSignedUrlPromise('getObject', {
+  Bucket: MEDIA_BUCKET,
+  Key: key,
+  Expires: DOCUMENT_URL_EXPIRY_SECONDS
+});
+
+/**
+ * Content type and size of an uploaded object, or null if it does not exist
+ */
+export const getUploadedObject = async (key) => {
+  try {
+    const head = await s3.headObject({ Bucket: MEDIA_BUCKET, Key: key }).promise();
+    return { contentType: head.ContentType, size: head.ContentLength };
+  } catch (error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+export const deleteMediaObject = (key) => s3.deleteObject({ Bucket: MEDIA_BUCKET, Key: key }).promise();
+
+/**
+ * Delete every object a user has uploaded - portfolio media and verification documents
+ * Returns the number of objects removed
+ */
+export const deleteUserMedia = async (userId) => {
+  let removed = 0;
+
+  for (const prefix of [portfolioPrefix(userId), verificationPrefix(userId)]) {
+    let continuationToken;
+
+    do {
+      const page = await s3.listObjectsV2({
+        Bucket: MEDIA_BUCKET,
+        Prefix: prefix,
+        ...(continuationToken && { ContinuationToken: continuationToken })
+      }).promise();
+
+      if (page.Contents.length > 0) {
+        await s3.deleteObjects({
+          Bucket: MEDIA_BUCKET,
+          Delete: { Objects: page.Contents.map(({ Key }) => ({ Key })), Quiet: true }
+        }).promise();
+        removed += page.Contents.length;
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  return removed;
+};
@@ -0,0 +1,36 @@
+import fakePaymentProvider from './fakePaymentProvider.js';
+
+/**
+ * Payment providers, selected with PAYMENT_PROVIDER. A provider is an object:
+ *
+ * - `name` - stored on subscriptions and webhook records
+ * - `createCheckout({ checkoutId, userId, plan, amount, currency, successUrl, cancelUrl })`
+ *   resolves to { providerCheckoutId, checkoutUrl } - the page the user pays on.
+ *   `checkoutId` is ours and must come back on the activation event.
+ * - `verifyWebhook(rawBody, headers)` checks the signature of a webhook call
+ *   (headers are lower-cased) and returns the event, or null if the signature
+ *   is missing or wrong. Events are normalised to
+ *   { eventId, type, checkoutId, subscriptionId, currentPeriodEnd } with type
+ *   one of WEBHOOK_EVENTS; other types are ignored.
+ *
+ * To add a provider, implement the above and register it here.
+ */
+const PROVIDERS = {
+  [fakePaymentProvider.name]: fakePaymentProvider
+};
+
+export const WEBHOOK_EVENTS = ['subscription.activated', 'subscription.renewed', 'subscription.cancelled'];
+
+/**
+ * The configured payment provider
+ */
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || fakePaymentProvider.name;
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  }
+
+  return provider;
+};
@@ -0,0 +1,149 @@
+import documentClient from './database.js';
+
+const PLAN_USAGE_TABLE = process.env.PLAN_USAGE_TABLE;
+
+/**
+ * Subscription plans and what each one allows. A null limit is unlimited.
+ * Prices are per billing period in the smallest currency unit (paise).
+ *
+ * Lowering a limit never takes anything away: portfolio items over the new
+ * limit stay, but nothing more can be added until the portfolio is under it.
+ */
+export const PLANS = {
+  free: {
+    name: 'Free',
+    price: 0,
+    entitlements: {
+      monthlyJobApplications: 10,
+      portfolioSlots: 12,
+      monthlyJobPosts: 2,
+      profileViewers: false
+    }
+  },
+  premium: {
+    name: 'Premium',
+    price: 49900,
+    entitlements: {
+      monthlyJobApplications: 50,
+      portfolioSlots: 30,
+      monthlyJobPosts: 10,
+      profileViewers: true
+    }
+  },
+  professional: {
+    name: 'Professional',
+    price: 99900,
+    entitlements: {
+      monthlyJobApplications: null,
+      portfolioSlots: 50,
+      monthlyJobPosts: null,
+      profileViewers: true
+    }
+  }
+};
+
+export const FREE_PLAN = 'free';
+export const PAID_PLANS = Object.keys(PLANS).filter(plan => plan !== FREE_PLAN);
+export const PLAN_CURRENCY = 'INR';
+export const BILLING_PERIOD_DAYS = 30;
+
+/**
+ * How long a paid plan outlives a missed renewal, so a late webhook does not
+ * cost the user their plan. Cancelled plans end exactly at the period end.
+ */
+export const RENEWAL_GRACE_DAYS = 3;
+
+const DAY_SECONDS = 24 * 60 * 60;
+const USAGE_RETENTION_DAYS = 400;
+
+/**
+ * The entitlements of a plan; unknown plans get the free ones
+ */
+export const getEntitlements = (plan) => (PLANS[plan] || PLANS[FREE_PLAN]).entitlements;
+
+/**
+ * Plans that grant an entitlement, or a higher limit than `plan` has
+ */
+export const plansAllowing = (entitlement, plan = FREE_PLAN) => {
+  const current = getEntitlements(plan)[entitlement];
+
+  return Object.keys(PLANS).filter(name => {
+    const value = PLANS[name].entitlements[entitlement];
+
+    if (typeof value === 'boolean') {
+      return value;
+    }
+
+    return current !== null && (value === null || value > current);
+  });
+};
+
+/**
+ * Metered usage is counted per calendar month (UTC), e.g. "2024-01"
+ */
+export const usagePeriod = (now = new Date().toISOString()) => now.slice(0, 7);
+
+/**
+ * Start of the next usage period, when monthly allowances reset
+ */
+export const nextPeriodStart = (now = new Date().toISOString()) => {
+  const date = new Date(now);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+};
+
+/**
+ * `details` of the 403 returned when a plan limit is reached
+ */
+export const limitDetails = (plan, entitlement, now = new Date().toISOString()) => {
+  const limit = getEntitlements(plan)[entitlement];
+
+  return {
+    plan: PLANS[plan] ? plan : FREE_PLAN,
+    entitlement,
+    limit,
+    ...(entitlement.startsWith('monthly') && { resetsAt: nextPeriodStart(now) }),
+    upgradeTo: plansAllowing(entitlement, plan)
+  };
+};
+
+/**
+ * Transaction item that counts one use of a monthly allowance. It fails its
+ * condition once the plan's limit is reached; unlimited plans are still
+ * counted, so usage shows up after an upgrade or downgrade.
+ * `metric` is the usage attribute, e.g. "jobApplications"
+ */
+export const useAllowanceItem = (userId, metric, limit, now = new Date().toISOString()) => ({
+  Update: {
+    TableName: PLAN_USAGE_TABLE,
+    Key: { userId, period: usagePeriod(now) },
+    UpdateExpression: 'ADD #metric :one SET #expiresAt = if_not_exists(#expiresAt, :expiresAt)',
+    ...(limit !== null && {
+      ConditionExpression: 'attribute_not_exists(#metric) OR #metric < :limit'
+    }),
+    ExpressionAttributeNames: { '#metric': metric, '#expiresAt': 'expiresAt' },
+    ExpressionAttributeValues: {
+      ':one': 1,
+      ':expiresAt': Math.floor(new Date(now).getTime() / 1000) + USAGE_RETENTION_DAYS * DAY_SECONDS,
+      ...(limit !== null && { ':limit': limit })
+    }
+  }
+});
+
+/**
+ * A user's metered usage in the current period
+ */
+export const getUsage = async (userId, now = new Date().toISOString()) => {
+  const period = usagePeriod(now);
+
+  const result = await documentClient.get({
+    TableName: PLAN_USAGE_TABLE,
+    Key: { userId, period }
+  }).promise();
+
+  return {
+    period,
+    resetsAt: nextPeriodStart(now),
+    jobApplications: result.Item?.jobApplications || 0,
+    jobPosts: result.Item?.jobPosts || 0
+  };
+};
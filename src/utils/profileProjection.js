@@ -0,0 +1,139 @@
+import { hasRole } from './auth.js';
+
+/**
+ * Profile sections, from least to most sensitive
+ * - card: identity shown everywhere (name, avatar, category, city, completeness)
+ * - profile: bio, skills, work and portfolio
+ * - socials: public social links
+ * - physical: physical stats
+ * - contact: email and phone
+ */
+const SECTIONS = ['card', 'profile', 'socials', 'physical', 'contact'];
+
+/**
+ * Sections each viewer sees, per privacy setting.
+ * The owner always sees the whole item.
+ */
+const VISIBILITY = {
+  public: {
+    anonymous: ['card', 'profile', 'socials'],
+    recruiter: ['card', 'profile', 'socials', 'physical', 'contact'],
+    connection: SECTIONS
+  },
+  'semi-private': {
+    anonymous: ['card'],
+    recruiter: ['card', 'profile', 'socials', 'physical'],
+    connection: SECTIONS
+  },
+  private: {
+    anonymous: ['card'],
+    recruiter: ['card'],
+    connection: SECTIONS
+  }
+};
+
+/**
+ * Whether the caller has an accepted connection with the user
+ */
+const isConnected = (user, callerId) => (user.connections || []).some(connection =>
+  connection.connectionStatus === 'connected' &&
+  (connection.senderId === callerId || connection.receiverId === callerId)
+);
+
+/**
+ * How the caller relates to the user: 'self' | 'connection' | 'recruiter' | 'anonymous'
+ */
+export const getRelationship = (user, caller) => {
+  if (caller.userId && caller.userId === user.userId) {
+    return 'self';
+  }
+
+  if (caller.userId && isConnected(user, caller.userId)) {
+    return 'connection';
+  }
+
+  if (hasRole(caller, 'recruiter')) {
+    return 'recruiter';
+  }
+
+  return 'anonymous';
+};
+
+/**
+ * Sections a viewer with the given relationship sees on a profile with the given privacy
+ */
+export const visibleSections = (privacy, relationship) => {
+  if (relationship === 'self') {
+    return SECTIONS;
+  }
+
+  return VISIBILITY[privacy]?.[relationship] || VISIBILITY.private[relationship];
+};
+
+/**
+ * Privacy settings under which a viewer with the given relationship sees a section
+ */
+export const privaciesShowing = (section, relationship) => Object.keys(VISIBILITY)
+  .filter(privacy => visibleSections(privacy, relationship).includes(section));
+
+/**
+ * Project a profile item down to what the caller may see.
+ * Credentials, push tokens, subscription details and other people's
+ * connection data are never returned to anyone but the owner.
+ */
+export const projectProfile = (user, caller) => {
+  const relationship = getRelationship(user, caller);
+
+  if (relationship === 'self') {
+    return user;
+  }
+
+  const sections = visibleSections(user.privacy, relationship);
+  const basicDetails = user.basicDetails || {};
+  const contactDetails = user.contactDetails || {};
+
+  return {
+    userId: user.userId,
+    username: user.username,
+    privacy: user.privacy,
+    currentPlan: user.currentPlan,
+    profileCompleteness: user.profileCompleteness,
+    basicDetails: {
+      firstName: basicDetails.firstName,
+      lastName: basicDetails.lastName,
+      fullName: basicDetails.fullName,
+      avatarUrl: basicDetails.avatarUrl,
+      category: basicDetails.category,
+      city: basicDetails.city,
+      ...(sections.includes('profile') && {
+        gender: basicDetails.gender,
+        age: basicDetails.age
+      })
+    },
+    ...(sections.includes('profile') && {
+      aboutMe: user.aboutMe,
+      view: user.view,
+      skills: user.skills,
+      workExperience: user.workExperience,
+      portfolio: user.portfolio
+    }),
+    ...(sections.includes('physical') && {
+      physicalStats: user.physicalStats
+    }),
+    ...((sections.includes('socials') || sections.includes('contact')) && {
+      contactDetails: {
+        ...(sections.includes('socials') && {
+          instagram: contactDetails.instagram,
+          facebook: contactDetails.facebook,
+          twitter: contactDetails.twitter,
+          youtube: contactDetails.youtube
+        }),
+        ...(sections.includes('contact') && {
+          email: contactDetails.email,
+          phone: contactDetails.phone
+        })
+      }
+    }),
+    createdAt: user.createdAt
+  };
+};
@@ -0,0 +1,68 @@
+import documentClient from './database.js';
+import { httpError } from './errors.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Client writes to a profile are guarded by an optimistic lock on updatedAt:
+ * a handler reads the profile, builds the new value of a list from it and
+ * writes it back only if updatedAt has not moved since, so two concurrent
+ * edits cannot lose each other's changes. Every such write moves updatedAt.
+ *
+ * Writes that are not client edits - stream-derived fields, plan changes,
+ * view counters, appends such as appliedJobs - leave updatedAt alone, so
+ * they never make a client edit fail with a conflict.
+ */
+
+/**
+ * Read a profile, strongly consistent so the optimistic lock sees the latest
+ * write. Returns null when it does not exist.
+ */
+export const getProfile = async (userId) => {
+  const result = await documentClient.get({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    ConsistentRead: true
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * getProfile for handlers that answer 404 when the profile does not exist
+ */
+export const requireProfile = async (userId) => {
+  const profile = await getProfile(userId);
+
+  if (!profile) {
+    throw httpError(404, 'User not found');
+  }
+
+  return profile;
+};
+
+/**
+ * Update params that set `fields` on a profile read earlier, only if it has
+ * not changed since. A profile without updatedAt must still not have one.
+ */
+export const lockedProfileUpdate = (profile, fields, now) => {
+  const names = Object.keys(fields);
+
+  return {
+    TableName: USERS_TABLE,
+    Key: { userId: profile.userId },
+    UpdateExpression: `SET ${names.map(field => `#${field} = :${field}`).join(', ')}, #updatedAt = :now`,
+    ConditionExpression: profile.updatedAt
+      ? '#updatedAt = :expectedUpdatedAt'
+      : 'attribute_exists(userId) AND attribute_not_exists(#updatedAt)',
+    ExpressionAttributeNames: {
+      ...Object.fromEntries(names.map(field => [`#${field}`, field])),
+      '#updatedAt': 'updatedAt'
+    },
+    ExpressionAttributeValues: {
+      ...Object.fromEntries(names.map(field => [`:${field}`, fields[field]])),
+      ':now': now,
+      ...(profile.updatedAt && { ':expectedUpdatedAt': profile.updatedAt })
+    }
+  };
+};
@@ -0,0 +1,249 @@
+import AWS from 'aws-sdk';
+import { createHash, randomUUID } from 'crypto';
+import documentClient from './database.js';
+
+const kms = new AWS.KMS({
+  region: process.env.REGION || 'ap-south-1'
+});
+
+const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const SESSION_TOKEN_KEY_ID = process.env.SESSION_TOKEN_KEY_ID;
+
+// Matches the app client's refresh token validity (Cognito default, 30 days)
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const decodeSub = (idToken) => JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString()).sub;
+
+/**
+ * Strip fields that must never leave the server
+ */
+export const toPublicSession = ({ refreshTokenCiphertext, refreshTokenHash, expiresAt, ...session }) => session;
+
+/**
+ * A session keeps its refresh token only encrypted with SESSION_TOKEN_KEY_ID,
+ * bound to the session's keys - revoking one session needs the token itself.
+ * Lookups by token go through refreshTokenHash.
+ */
+const encryptionContext = ({ userId, sessionId }) => ({ userId, sessionId });
+
+const encryptRefreshToken = async (session, refreshToken) => {
+  const result = await kms.encrypt({
+    KeyId: SESSION_TOKEN_KEY_ID,
+    Plaintext: refreshToken,
+    EncryptionContext: encryptionContext(session)
+  }).promise();
+
+  return result.CiphertextBlob.toString('base64');
+};
+
+/**
+ * The refresh token of a session record, for revoking it. A record without
+ * the encrypted token is unusable and yields null.
+ */
+export const getSessionRefreshToken = async (session) => {
+  if (!session.refreshTokenCiphertext) {
+    return null;
+  }
+
+  const result = await kms.decrypt({
+    CiphertextBlob: Buffer.from(session.refreshTokenCiphertext, 'base64'),
+    EncryptionContext: encryptionContext(session)
+  }).promise();
+
+  return result.Plaintext.toString();
+};
+
+/**
+ * Add a push token to the profile's device_tokens if it is not there yet
+ */
+const addPushToken = async (userId, pushToken) => {
+  const profile = await documentClient.get({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    ProjectionExpression: 'device_tokens'
+  }).promise();
+
+  const deviceTokens = profile.Item?.device_tokens || [];
+  if (!profile.Item || deviceTokens.includes(pushToken)) {
+    return;
+  }
+
+  await documentClient.update({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET #deviceTokens = list_append(if_not_exists(#deviceTokens, :empty), :pushToken)',
+    ExpressionAttributeNames: { '#deviceTokens': 'device_tokens' },
+    ExpressionAttributeValues: {
+      ':empty': [],
+      ':pushToken': [pushToken]
+    }
+  }).promise();
+};
+
+/**
+ * Remove a push token from the profile's device_tokens
+ */
+export const removePushToken = async (userId, pushToken) => {
+  const profile = await documentClient.get({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    ProjectionExpression: 'device_tokens'
+  }).promise();
+
+  const deviceTokens = profile.Item?.device_tokens || [];
+  if (!deviceTokens.includes(pushToken)) {
+    return;
+  }
+
+  await documentClient.update({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET #deviceTokens = :deviceTokens',
+    ExpressionAttributeNames: { '#deviceTokens': 'device_tokens' },
+    ExpressionAttributeValues: {
+      ':deviceTokens': deviceTokens.filter(token => token !== pushToken)
+    }
+  }).promise();
+};
+
+/**
+ * Record a new login session from a Cognito AuthenticationResult
+ * Device: { deviceName, platform, pushToken }
+ * Returns the public session
+ */
+export const createSession = async (authenticationResult, device, event) => {
+  const { IdToken, RefreshToken } = authenticationResult;
+  const userId = decodeSub(IdToken);
+  const now = new Date();
+  const { deviceName, platform, pushToken } = device;
+
+  const session = {
+    userId,
+    sessionId: randomUUID(),
+    deviceName: deviceName || 'Unknown device',
+    platform: platform || 'unknown',
+    ipAddress: event.requestContext?.http?.sourceIp || null,
+    userAgent: event.requestContext?.http?.userAgent || null,
+    pushToken: pushToken || null,
+    refreshTokenHash: hashToken(RefreshToken),
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + SESSION_TTL_SECONDS
+  };
+  session.refreshTokenCiphertext = await encryptRefreshToken(session, RefreshToken);
+
+  await documentClient.put({
+    TableName: SESSIONS_TABLE,
+    Item: session
+  }).promise();
+
+  if (pushToken) {
+    await addPushToken(userId, pushToken);
+  }
+
+  return toPublicSession(session);
+};
+
+/**
+ * Find the session a refresh token belongs to. The index holds only keys,
+ * so the record itself is read from the table.
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const result = await documentClient.query({
+    TableName: SESSIONS_TABLE,
+    IndexName: 'refreshTokenHashIndex',
+    KeyConditionExpression: 'refreshTokenHash = :refreshTokenHash',
+    ExpressionAttributeValues: {
+      ':refreshTokenHash': hashToken(refreshToken)
+    }
+  }).promise();
+
+  const keys = result.Items?.[0];
+  if (!keys) {
+    return null;
+  }
+
+  const session = await documentClient.get({
+    TableName: SESSIONS_TABLE,
+    Key: { userId: keys.userId, sessionId: keys.sessionId }
+  }).promise();
+
+  return session.Item || null;
+};
+
+/**
+ * Update a session's last-seen time and IP after a token refresh
+ */
+export const touchSession = async (refreshToken, event) => {
+  const session = await findSessionByRefreshToken(refreshToken);
+
+  if (!session) {
+    return;
+  }
+
+  try {
+    await documentClient.update({
+      TableName: SESSIONS_TABLE,
+      Key: { userId: session.userId, sessionId: session.sessionId },
+      UpdateExpression: 'SET #lastSeenAt = :now, #ipAddress = :ipAddress',
+      ConditionExpression: 'attribute_exists(sessionId)',
+      ExpressionAttributeNames: {
+        '#lastSeenAt': 'lastSeenAt',
+        '#ipAddress': 'ipAddress'
+      },
+      ExpressionAttributeValues: {
+        ':now': new Date().toISOString(),
+        ':ipAddress': event.requestContext?.http?.sourceIp || session.ipAddress
+      }
+    }).promise();
+  } catch (error) {
+    // Session was revoked while the refresh was in flight
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+};
+
+/**
+ * List every session of a user, most recently seen first
+ */
+export const listUserSessions = async (userId) => {
+  const sessions = [];
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: SESSIONS_TABLE,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    sessions.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return sessions.sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+};
+
+/**
+ * Delete a session record and unregister its push token, unless another
+ * session on the same device still uses it
+ */
+export const deleteSession = async (session) => {
+  await documentClient.delete({
+    TableName: SESSIONS_TABLE,
+    Key: { userId: session.userId, sessionId: session.sessionId }
+  }).promise();
+
+  if (session.pushToken) {
+    const remaining = await listUserSessions(session.userId);
+
+    if (!remaining.some(other => other.pushToken === session.pushToken)) {
+      await removePushToken(session.userId, session.pushToken);
+    }
+  }
+};
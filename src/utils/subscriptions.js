@@ -0,0 +1,168 @@
+import documentClient from './database.js';
+import { FREE_PLAN, RENEWAL_GRACE_DAYS } from './plans.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * A profile's plan lives in `currentPlan` (read by the authorizer) and
+ * `subscription`. While a paid plan is held the profile also carries
+ * `paidPlan` and `planExpiresAt` - the keys of the sparse planExpiryIndex,
+ * which the scheduled downgrade queries for plans whose time is up.
+ *
+ * planExpiresAt is the period end plus RENEWAL_GRACE_DAYS while the
+ * subscription renews, and the period end itself once it is cancelled.
+ * These writes leave updatedAt alone (see src/utils/profiles.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const withGrace = (periodEnd) => new Date(new Date(periodEnd).getTime() + RENEWAL_GRACE_DAYS * DAY_MS).toISOString();
+
+/**
+ * Transaction item that puts a user on a paid plan. Fails while another
+ * subscription is active and renewing, so a second checkout paid before the
+ * first was cancelled cannot replace it (see BILLING_API.md).
+ */
+export const activatePlanItem = (userId, { plan, provider, subscriptionId, periodEnd }, now) => ({
+  Update: {
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET currentPlan = :plan, subscription = :subscription, paidPlan = :plan, ' +
+      'planExpiresAt = :expiresAt',
+    ConditionExpression: 'attribute_exists(userId) AND (attribute_not_exists(paidPlan) OR ' +
+      'subscription.#status <> :active OR subscription.subscriptionId = :subscriptionId)',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':active': 'active',
+      ':subscriptionId': subscriptionId,
+      ':plan': plan,
+      ':subscription': {
+        activePlan: plan,
+        status: 'active',
+        provider,
+        subscriptionId,
+        startDate: now,
+        renewalDate: periodEnd
+      },
+      ':expiresAt': withGrace(periodEnd)
+    }
+  }
+});
+
+/**
+ * Transaction item that extends a subscription to a new period end. It also
+ * restores a plan the scheduled job already took away, when the renewal
+ * arrived after the grace period. Fails for another subscription, or for a
+ * period end that is not later than the current one (a replayed renewal).
+ */
+export const renewPlanItem = (userId, { plan, subscriptionId, periodEnd }) => ({
+  Update: {
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET currentPlan = :plan, subscription.activePlan = :plan, subscription.#status = :active, ' +
+      'subscription.renewalDate = :periodEnd, paidPlan = :plan, planExpiresAt = :expiresAt ' +
+      'REMOVE subscription.endedAt',
+    ConditionExpression: 'subscription.subscriptionId = :subscriptionId AND subscription.renewalDate < :periodEnd',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':plan': plan,
+      ':active': 'active',
+      ':subscriptionId': subscriptionId,
+      ':periodEnd': periodEnd,
+      ':expiresAt': withGrace(periodEnd)
+    }
+  }
+});
+
+/**
+ * Transaction item that cancels a subscription at the end of its period.
+ * The plan stays until then; the scheduled job downgrades it.
+ */
+export const cancelPlanItem = (userId, { subscriptionId, periodEnd }, now) => ({
+  Update: {
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET subscription.#status = :cancelled, subscription.cancelledAt = :now, ' +
+      'subscription.renewalDate = :periodEnd, planExpiresAt = :periodEnd',
+    ConditionExpression: 'subscription.subscriptionId = :subscriptionId AND attribute_exists(paidPlan)',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':cancelled': 'cancelled',
+      ':subscriptionId': subscriptionId,
+      ':periodEnd': periodEnd,
+      ':now': now
+    }
+  }
+});
+
+/**
+ * Update that moves a user back to the free plan. `status` records why
+ * ('expired' or 'cancelled'); the condition decides which paid plan may be
+ * ended, so a renewal that lands first is not undone.
+ */
+const downgradeParams = (userId, status, now, condition) => ({
+  TableName: USERS_TABLE,
+  Key: { userId },
+  UpdateExpression: 'SET currentPlan = :free, subscription.activePlan = :free, subscription.#status = :status, ' +
+    'subscription.endedAt = :now REMOVE paidPlan, planExpiresAt',
+  ConditionExpression: condition.expression,
+  ExpressionAttributeNames: { '#status': 'status' },
+  ExpressionAttributeValues: {
+    ':free': FREE_PLAN,
+    ':status': status,
+    ':now': now,
+    ...condition.values
+  }
+});
+
+/**
+ * Transaction item that ends a subscription immediately
+ */
+export const endPlanItem = (userId, subscriptionId, now) => ({
+  Update: downgradeParams(userId, 'cancelled', now, {
+    expression: 'subscription.subscriptionId = :subscriptionId AND attribute_exists(paidPlan)',
+    values: { ':subscriptionId': subscriptionId }
+  })
+});
+
+/**
+ * Ids of users on a paid plan whose planExpiresAt has passed
+ */
+export const queryLapsedPlans = async (plan, now) => {
+  let userIds = [];
+  let lastKey;
+
+  do {
+    const result = await documentClient.query({
+      TableName: USERS_TABLE,
+      IndexName: 'planExpiryIndex',
+      KeyConditionExpression: 'paidPlan = :plan AND planExpiresAt <= :now',
+      ExpressionAttributeValues: { ':plan': plan, ':now': now },
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    userIds = userIds.concat(result.Items.map(item => item.userId));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return userIds;
+};
+
+/**
+ * Move a lapsed user to the free plan. Returns false when the plan was
+ * renewed (or changed) since it was found.
+ */
+export const downgradeLapsedPlan = async (userId, plan, now) => {
+  try {
+    await documentClient.update(downgradeParams(userId, 'expired', now, {
+      expression: 'paidPlan = :plan AND planExpiresAt <= :now',
+      values: { ':plan': plan }
+    })).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
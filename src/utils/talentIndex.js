@@ -0,0 +1,404 @@
+import documentClient from './database.js';
+import { categoriesOf } from './completeness.js';
+
+const TALENT_INDEX_TABLE = process.env.TALENT_INDEX_TABLE;
+
+/**
+ * Partition-key placeholders for searches without a category or a city
+ */
+export const ALL_CATEGORIES = 'ALL';
+const ALL_CITIES = '*';
+
+const MAX_COMPLETENESS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+/**
+ * Sort keys end in `#{userId}`; this sorts after any of them
+ */
+const KEY_END = '#~';
+
+export const normalise = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const normaliseList = (values) => [...new Set((Array.isArray(values) ? values : []).map(normalise).filter(Boolean))];
+
+/**
+ * Parse a free-text height ("170", "170 cm", "5'8\"", "5 ft 8 in") to centimetres
+ */
+export const parseHeightCm = (height) => {
+  const text = normalise(String(height ?? ''));
+
+  if (!text) {
+    return null;
+  }
+
+  const imperial = text.match(/^(\d+)\s*(?:'|ft|feet)\s*(?:(\d+(?:\.\d+)?)\s*(?:"|''|in|inches)?)?$/);
+  if (imperial) {
+    return Math.round(Number(imperial[1]) * 30.48 + Number(imperial[2] || 0) * 2.54);
+  }
+
+  const metric = text.match(/^(\d+(?:\.\d+)?)\s*(cm|m)?$/);
+  if (metric) {
+    const value = Number(metric[1]);
+    return Math.round(metric[2] === 'm' || value < 3 ? value * 100 : value);
+  }
+
+  return null;
+};
+
+/**
+ * Age in whole years from a birth date, falling back to the stored age
+ */
+export const ageOf = ({ birthDate, age }, now = new Date()) => {
+  const born = birthDate ? new Date(birthDate) : null;
+
+  if (!born || Number.isNaN(born.getTime())) {
+    return typeof age === 'number' ? age : null;
+  }
+
+  const years = now.getUTCFullYear() - born.getUTCFullYear();
+  const hadBirthday = now.getUTCMonth() > born.getUTCMonth() ||
+    (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() >= born.getUTCDate());
+
+  return hadBirthday ? years : years - 1;
+};
+
+/**
+ * Partition key of a category and city, either of which may be left out
+ */
+export const facetKeyOf = (category, city) => `${category || ALL_CATEGORIES}#${normalise(city) || ALL_CITIES}`;
+
+const pad = (value) => String(value).padStart(3, '0');
+
+/**
+ * Birth date the age range index sorts on. A profile with only `age` is
+ * given the date that age implies today, so it drifts until the profile is
+ * next written or reindexed.
+ */
+const birthDateOf = ({ birthDate, age }, now = new Date()) => {
+  const born = birthDate ? new Date(birthDate) : null;
+
+  if (born && !Number.isNaN(born.getTime())) {
+    return born.toISOString().slice(0, 10);
+  }
+
+  return typeof age === 'number'
+    ? new Date(now.getTime() - (age + 0.5) * YEAR_MS).toISOString().slice(0, 10)
+    : null;
+};
+
+/**
+ * Index entries for a profile, one per partition it can be found in: every
+ * profile is in `ALL#*`, and in `{category}#*` for each of its categories;
+ * with a city it is also in `ALL#{city}` and `{category}#{city}`.
+ *
+ * Within a partition entries sort by completeness (`rankKey`), and two sparse
+ * GSIs sort them by birth date (`birthKey`, ageIndex) and height
+ * (`heightKey`, heightIndex) for range filters. Each entry also holds the card
+ * shown in results, the remaining facet values in lower case for filters,
+ * privacy (facets hidden from the caller are not searchable) and blocks.
+ */
+export const buildIndexItems = (user) => {
+  if (!user?.userId || !user.username) {
+    return [];
+  }
+
+  const basicDetails = user.basicDetails || {};
+  const city = normalise(basicDetails.city);
+  const categories = [...new Set(categoriesOf(basicDetails))];
+  const fullName = basicDetails.fullName || [basicDetails.firstName, basicDetails.lastName].filter(Boolean).join(' ');
+  const profileCompleteness = user.profileCompleteness || 0;
+  const birthDate = birthDateOf(basicDetails);
+  const heightCm = parseHeightCm(user.physicalStats?.height);
+
+  const entry = {
+    userId: user.userId,
+    rankKey: `${pad(MAX_COMPLETENESS - profileCompleteness)}#${user.userId}`,
+    ...(birthDate && { birthKey: `${birthDate}#${user.userId}` }),
+    ...(heightCm && { heightKey: `${pad(heightCm)}#${user.userId}` }),
+    username: user.username,
+    fullName,
+    avatarUrl: basicDetails.avatarUrl || '',
+    categories,
+    city: (basicDetails.city || '').trim(),
+    privacy: user.privacy || 'public',
+    profileCompleteness,
+    gender: basicDetails.gender || '',
+    birthDate: basicDetails.birthDate || null,
+    age: basicDetails.age || null,
+    heightCm,
+    languages: normaliseList(user.skills?.languages),
+    expertise: normaliseList(user.skills?.expertise),
+    usernameLower: normalise(user.username),
+    fullNameLower: normalise(fullName),
+    genderLower: normalise(basicDetails.gender),
+    blockedIds: [...new Set([...(user.blockedUsers || []), ...(user.blockedBy || [])])]
+  };
+
+  const facetKeys = [ALL_CATEGORIES, ...categories].flatMap(category => [
+    facetKeyOf(category),
+    ...(city ? [facetKeyOf(category, city)] : [])
+  ]);
+
+  return facetKeys.map(facetKey => ({ facetKey, ...entry }));
+};
+
+const keyOf = (item) => ({ facetKey: item.facetKey, rankKey: item.rankKey });
+const keyString = (item) => `${item.facetKey}|${item.rankKey}`;
+
+/**
+ * Bring the index in line with a profile change. Either image may be null
+ * (insert / delete). Entries whose key changed are removed; entries whose
+ * content did not change are left alone.
+ */
+export const syncTalentIndex = async (oldUser, newUser) => {
+  const oldItems = buildIndexItems(oldUser);
+  const newItems = buildIndexItems(newUser);
+  const previous = new Map(oldItems.map(item => [keyString(item), item]));
+  const next = new Set(newItems.map(keyString));
+
+  for (const item of oldItems) {
+    if (!next.has(keyString(item))) {
+      await documentClient.delete({ TableName: TALENT_INDEX_TABLE, Key: keyOf(item) }).promise();
+    }
+  }
+
+  for (const item of newItems) {
+    const before = previous.get(keyString(item));
+
+    if (!before || JSON.stringify(before) !== JSON.stringify(item)) {
+      await documentClient.put({ TableName: TALENT_INDEX_TABLE, Item: item }).promise();
+    }
+  }
+};
+
+/**
+ * Index entries evaluated per query round, and rounds per search. A search
+ * with selective filters returns what it found in that many entries along
+ * with a cursor, rather than reading on through the partition.
+ */
+const QUERY_PAGE_SIZE = 100;
+const MAX_QUERY_ROUNDS = 5;
+
+/**
+ * Birth dates of people aged minAge to maxAge today, as an inclusive range
+ */
+const birthDateRange = (minAge, maxAge, now = new Date()) => {
+  const back = (years) => new Date(Date.UTC(now.getUTCFullYear() - years, now.getUTCMonth(), now.getUTCDate()));
+
+  return {
+    from: maxAge === null ? '0000' : new Date(back(maxAge + 1).getTime() + DAY_MS).toISOString().slice(0, 10),
+    to: minAge === null ? '9999' : back(minAge).toISOString().slice(0, 10)
+  };
+};
+
+/**
+ * Which sort key a search ranges over: age, then height, else completeness
+ */
+const searchIndex = ({ minAge, maxAge, minHeight, maxHeight }) => {
+  if (minAge !== null || maxAge !== null) {
+    const { from, to } = birthDateRange(minAge, maxAge);
+    return { indexName: 'ageIndex', sortKey: 'birthKey', from: `${from}#`, to: `${to}${KEY_END}` };
+  }
+
+  if (minHeight !== null || maxHeight !== null) {
+    return {
+      indexName: 'heightIndex',
+      sortKey: 'heightKey',
+      from: `${pad(Math.ceil(minHeight ?? 0))}#`,
+      to: `${pad(Math.floor(maxHeight ?? 999))}${KEY_END}`
+    };
+  }
+
+  return { indexName: null, sortKey: 'rankKey' };
+};
+
+/**
+ * Whether a cursor belongs to this search's partition and index
+ */
+export const isSearchCursor = (cursor, search) => {
+  const { sortKey } = searchIndex(search);
+
+  return Boolean(cursor) && typeof cursor === 'object' &&
+    cursor.facetKey === facetKeyOf(search.category, search.city) &&
+    typeof cursor.rankKey === 'string' && typeof cursor[sortKey] === 'string';
+};
+
+/**
+ * Find index entries matching a search, `limit` at most, reading one
+ * partition in key order. Every filter runs in DynamoDB; the range filter on
+ * age or height is the key condition of its GSI.
+ *
+ * `search` is { category, city, gender, minAge, maxAge, minHeight,
+ * maxHeight, languages, expertise, skill, text, viewer }. Values are in lower
+ * case; unset ranges are null. `viewer` is { userId, profilePrivacies,
+ * physicalPrivacies }: the privacy settings under which the caller sees the
+ * profile and physical sections, which filters on those sections require.
+ *
+ * Returns { entries, lastKey } - lastKey is null at the end of the partition.
+ */
+export const searchTalentIndex = async (search, limit, startKey = null) => {
+  const { indexName, sortKey, from, to } = searchIndex(search);
+  const { viewer } = search;
+  const names = {};
+  const values = { ':facetKey': facetKeyOf(search.category, search.city) };
+  const filters = [];
+  let valueCount = 0;
+
+  const value = (item) => {
+    const placeholder = `:v${valueCount}`;
+    valueCount += 1;
+    values[placeholder] = item;
+    return placeholder;
+  };
+
+  const onlyPrivacies = (privacies) => {
+    const allowed = `#privacy IN (${privacies.map(value).join(', ')})`;
+    names['#privacy'] = 'privacy';
+    filters.push(viewer.userId ? `(${allowed} OR userId = ${value(viewer.userId)})` : allowed);
+  };
+
+  if (from) {
+    values[':from'] = from;
+    values[':to'] = to;
+  }
+
+  const privacyFilters = [
+    (search.minAge !== null || search.maxAge !== null || search.gender ||
+      search.languages.length > 0 || search.expertise.length > 0 || search.skill) && viewer.profilePrivacies,
+    (search.minHeight !== null || search.maxHeight !== null) && viewer.physicalPrivacies
+  ].filter(Boolean);
+
+  // A section the caller never sees can only match the caller's own profile
+  if (privacyFilters.some(privacies => privacies.length === 0) && !viewer.userId) {
+    return { entries: [], lastKey: null };
+  }
+
+  privacyFilters.forEach(privacies => {
+    if (privacies.length > 0) {
+      onlyPrivacies(privacies);
+    } else {
+      filters.push(`userId = ${value(viewer.userId)}`);
+    }
+  });
+
+  if (viewer.userId) {
+    filters.push(`NOT contains(blockedIds, ${value(viewer.userId)})`);
+  }
+
+  if (search.gender) {
+    filters.push(`genderLower = ${value(search.gender)}`);
+  }
+
+  // The age range is the key condition; a height range alongside it is a filter
+  if (indexName === 'ageIndex' && (search.minHeight !== null || search.maxHeight !== null)) {
+    filters.push(`heightCm BETWEEN ${value(search.minHeight ?? 0)} AND ${value(search.maxHeight ?? 999)}`);
+  }
+
+  search.languages.forEach(language => filters.push(`contains(languages, ${value(language)})`));
+  search.expertise.forEach(skill => filters.push(`contains(expertise, ${value(skill)})`));
+
+  if (search.skill) {
+    const skill = value(search.skill);
+    filters.push(`(contains(languages, ${skill}) OR contains(expertise, ${skill}))`);
+  }
+
+  if (search.text) {
+    const text = value(search.text);
+    filters.push(`(contains(usernameLower, ${text}) OR contains(fullNameLower, ${text}))`);
+  }
+
+  let entries = [];
+  let lastKey = startKey;
+
+  for (let round = 0; round < MAX_QUERY_ROUNDS && entries.length < limit; round += 1) {
+    const result = await documentClient.query({
+      TableName: TALENT_INDEX_TABLE,
+      ...(indexName && { IndexName: indexName }),
+      KeyConditionExpression: from
+        ? `facetKey = :facetKey AND ${sortKey} BETWEEN :from AND :to`
+        : 'facetKey = :facetKey',
+      ...(filters.length > 0 && { FilterExpression: filters.join(' AND ') }),
+      ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+      ExpressionAttributeValues: values,
+      Limit: QUERY_PAGE_SIZE,
+      ...(lastKey && { ExclusiveStartKey: lastKey })
+    }).promise();
+
+    entries = entries.concat(result.Items);
+    lastKey = result.LastEvaluatedKey || null;
+
+    if (!lastKey) {
+      break;
+    }
+  }
+
+  // A round can match more than the page holds; resume after the last one kept
+  if (entries.length > limit) {
+    const last = entries[limit - 1];
+    entries = entries.slice(0, limit);
+    lastKey = { facetKey: last.facetKey, rankKey: last.rankKey, ...(indexName && { [sortKey]: last[sortKey] }) };
+  }
+
+  return { entries, lastKey };
+};
+
+/**
+ * Range buckets reported as facets; `max` is exclusive
+ */
+export const AGE_BUCKETS = [
+  { label: 'under-18', max: 18 },
+  { label: '18-24', min: 18, max: 25 },
+  { label: '25-34', min: 25, max: 35 },
+  { label: '35-44', min: 35, max: 45 },
+  { label: '45+', min: 45 }
+];
+
+export const HEIGHT_BUCKETS = [
+  { label: 'under-150', max: 150 },
+  { label: '150-159', min: 150, max: 160 },
+  { label: '160-169', min: 160, max: 170 },
+  { label: '170-179', min: 170, max: 180 },
+  { label: '180-189', min: 180, max: 190 },
+  { label: '190+', min: 190 }
+];
+
+const bucketOf = (buckets, value) => buckets.find(({ min = -Infinity, max = Infinity }) => value >= min && value < max)?.label;
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+/**
+ * Facet counts over a set of search results.
+ * Each result is { entry, facets } where `facets` holds only the values the
+ * caller may see - hidden values are not counted.
+ */
+export const countFacets = (results) => {
+  const facets = { category: {}, city: {}, gender: {}, age: {}, height: {}, languages: {}, expertise: {} };
+  const cityLabels = {};
+
+  for (const { entry, facets: values } of results) {
+    entry.categories.forEach(category => increment(facets.category, category));
+
+    if (entry.city) {
+      const key = normalise(entry.city);
+      cityLabels[key] = cityLabels[key] || entry.city;
+      increment(facets.city, cityLabels[key]);
+    }
+
+    if (values.gender) {
+      increment(facets.gender, values.gender);
+    }
+    if (values.age !== null && values.age !== undefined) {
+      increment(facets.age, bucketOf(AGE_BUCKETS, values.age));
+    }
+    if (values.heightCm) {
+      increment(facets.height, bucketOf(HEIGHT_BUCKETS, values.heightCm));
+    }
+    (values.languages || []).forEach(language => increment(facets.languages, language));
+    (values.expertise || []).forEach(skill => increment(facets.expertise, skill));
+  }
+
+  return facets;
+};
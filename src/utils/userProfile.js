@@ -0,0 +1,154 @@
+import { randomInt } from 'crypto';
+import documentClient, { cancellationReasons } from './database.js';
+import { computeCompleteness } from './completeness.js';
+import { RESERVED_USERNAMES, claimUsernameItem, findUsername, normaliseUsername } from './usernames.js';
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Build a complete user profile item with defaults for every field and its completeness score
+ * Body: { username, email, privacy, aboutMe, basicDetails, contactDetails, physicalStats, skills }
+ */
+export const buildUserProfile = (userId, body, now = new Date().toISOString()) => {
+  const { username, email, basicDetails = {} } = body;
+
+  const user = {
+    userId,
+    username,
+    // email is an index key, so it must be omitted rather than left empty
+    ...(email && { email }),
+    privacy: body.privacy || 'public',
+    // Plans only change through checkout and the payment webhook
+    currentPlan: 'free',
+    view: 0,
+    aboutMe: body.aboutMe || '',
+    device_tokens: [],
+    subscription: {
+      activePlan: 'free',
+      startDate: now,
+      renewalDate: null,
+      status: 'active'
+    },
+    tokens: {
+      AccessToken: '',
+      RefreshToken: '',
+      IdToken: ''
+    },
+    basicDetails: {
+      firstName: basicDetails.firstName || '',
+      lastName: basicDetails.lastName || '',
+      fullName: basicDetails.fullName || '',
+      avatarUrl: basicDetails.avatarUrl || '',
+      gender: basicDetails.gender || '',
+      category: basicDetails.category || [],
+      birthDate: basicDetails.birthDate || null,
+      age: basicDetails.age || null,
+      city: basicDetails.city || ''
+    },
+    contactDetails: {
+      email: body.contactDetails?.email || email || '',
+      phone: body.contactDetails?.phone || '',
+      instagram: body.contactDetails?.instagram || '',
+      facebook: body.contactDetails?.facebook || '',
+      twitter: body.contactDetails?.twitter || '',
+      youtube: body.contactDetails?.youtube || ''
+    },
+    physicalStats: {
+      height: body.physicalStats?.height || '',
+      weight: body.physicalStats?.weight || '',
+      bust: body.physicalStats?.bust || '',
+      waist: body.physicalStats?.waist || '',
+      hips: body.physicalStats?.hips || '',
+      chest: body.physicalStats?.chest || '',
+      biceps: body.physicalStats?.biceps || '',
+      hairType: body.physicalStats?.hairType || '',
+      hairLength: body.physicalStats?.hairLength || ''
+    },
+    skills: {
+      languages: body.skills?.languages || [],
+      expertise: body.skills?.expertise || [],
+      hobbies: body.skills?.hobbies || []
+    },
+    // Lists are only filled by their own endpoints
+    workExperience: [],
+    portfolio: [],
+    appliedJobs: [],
+    requestSent: [],
+    requestReceived: [],
+    connections: [],
+    blockedUsers: [],
+    blockedBy: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Kept up to date afterwards by the UsersTable stream trigger
+  return { ...user, profileCompleteness: computeCompleteness(user).score };
+};
+
+/**
+ * Check whether a username is already taken, in any case, or reserved
+ */
+export const isUsernameTaken = async (username) => (
+  RESERVED_USERNAMES.has(normaliseUsername(username)) || Boolean(await findUsername(username))
+);
+
+const profileConflict = (conflict, message) => Object.assign(new Error(message), { statusCode: 409, conflict });
+
+/**
+ * Save a new profile and claim its username in one transaction
+ * Throws a 409 error with `conflict: 'profile'` when the profile already
+ * exists, or `conflict: 'username'` when the username is taken.
+ */
+export const createProfile = async (user) => {
+  try {
+    await documentClient.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: USERS_TABLE,
+            Item: user,
+            ConditionExpression: 'attribute_not_exists(userId)'
+          }
+        },
+        claimUsernameItem(user, user.createdAt)
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      const [profileReason] = cancellationReasons(error);
+      throw profileReason === 'ConditionalCheckFailed'
+        ? profileConflict('profile', 'User already exists')
+        : profileConflict('username', 'Username already exists');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate an unused username from a seed such as a name or email address
+ * e.g. "Priya Sharma" -> "priya_sharma", or "priya_sharma_4821" when taken
+ */
+export const generateUniqueUsername = async (seed) => {
+  const stem = (seed || '')
+    .split('@')[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 20);
+  // Usernames are at least 3 characters
+  const base = stem.length >= 3 ? stem : [stem, 'artist'].filter(Boolean).join('_');
+
+  if (!(await isUsernameTaken(base))) {
+    return base;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = `${base}_${randomInt(1000, 10000)}`;
+    if (!(await isUsernameTaken(candidate))) {
+      return candidate;
+    }
+  }
+
+  throw new Error(`Could not generate a unique username for "${base}"`);
+};
@@ -0,0 +1,305 @@
+import documentClient from './database.js';
+
+const USERNAMES_TABLE = process.env.USERNAMES_TABLE;
+
+/**
+ * Usernames are unique regardless of case. UsernamesTable holds one row per
+ * username, keyed by its lower-cased form, and every profile write that sets
+ * or changes a username claims its row in the same transaction - a plain
+ * "query then write" would let two requests take the same name.
+ *
+ * The rows also carry what autocomplete shows (name, avatar, completeness)
+ * and blocks; the UsersTable stream keeps those in step with the profile.
+ *
+ * A username given up in a rename is not freed: its row is retired, which
+ * keeps it reserved for USERNAME_COOL_OFF_DAYS and lets old links redirect.
+ * Only its previous owner can take it back in that time. DynamoDB TTL removes
+ * the row afterwards; until it does, an expired row counts as free.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export const USERNAME_COOL_OFF_DAYS = 30;
+
+/**
+ * Renames allowed per account in a rolling window (admins are exempt)
+ */
+export const MAX_USERNAME_CHANGES = 2;
+export const USERNAME_CHANGE_WINDOW_DAYS = 30;
+
+const epochSeconds = (iso) => Math.floor(new Date(iso).getTime() / 1000);
+
+/**
+ * Names that cannot be registered: routes, roles and the brand
+ */
+export const RESERVED_USERNAMES = new Set([
+  'about', 'account', 'admin', 'administrator', 'api', 'app', 'artisthub', 'auth',
+  'autocomplete', 'billing', 'blog', 'casting', 'contact', 'dashboard', 'help',
+  'jobs', 'login', 'logout', 'me', 'messages', 'moderator', 'null', 'official',
+  'privacy', 'recruiter', 'root', 'search', 'security', 'settings', 'signup',
+  'staff', 'support', 'system', 'terms', 'undefined', 'username', 'users', 'www'
+]);
+
+const USERNAME_PATTERN = /^[a-z0-9_][a-z0-9._]{1,28}[a-z0-9_]$/;
+
+export const normaliseUsername = (username) => String(username ?? '').trim().toLowerCase();
+
+/**
+ * Why a username cannot be registered, or null if it can (availability aside)
+ */
+export const validateUsername = (username) => {
+  if (typeof username !== 'string') {
+    return 'username must be a string';
+  }
+
+  const key = normaliseUsername(username);
+
+  if (username.trim() !== username || !USERNAME_PATTERN.test(key) || key.includes('..')) {
+    return 'username must be 3-30 letters, digits, underscores or periods, and cannot start or end with a period or have two in a row';
+  }
+
+  if (RESERVED_USERNAMES.has(key)) {
+    return 'This username is reserved';
+  }
+
+  return null;
+};
+
+const nameOf = (basicDetails = {}) => (
+  basicDetails.fullName || [basicDetails.firstName, basicDetails.lastName].filter(Boolean).join(' ')
+).trim();
+
+/**
+ * Autocomplete fields of a username row, derived from the profile.
+ * The prefix indexes are partitioned by first character; an empty name is
+ * left out because index keys cannot be empty.
+ */
+const displayFields = (user) => {
+  const fullName = nameOf(user.basicDetails);
+  const nameKey = fullName.toLowerCase().replace(/\s+/g, ' ');
+
+  return {
+    fullName,
+    avatarUrl: user.basicDetails?.avatarUrl || '',
+    profileCompleteness: user.profileCompleteness || 0,
+    blockedIds: [...new Set([...(user.blockedUsers || []), ...(user.blockedBy || [])])],
+    ...(nameKey && {
+      nameInitial: nameKey[0],
+      nameKey: `${nameKey}#${normaliseUsername(user.username)}`
+    })
+  };
+};
+
+/**
+ * The UsernamesTable row for a profile
+ */
+export const usernameEntry = (user, now = new Date().toISOString()) => {
+  const usernameKey = normaliseUsername(user.username);
+
+  return {
+    usernameKey,
+    usernameInitial: usernameKey[0],
+    username: user.username,
+    userId: user.userId,
+    ...displayFields(user),
+    claimedAt: now
+  };
+};
+
+/**
+ * Transaction item that claims a profile's username - fails if anyone holds
+ * it, unless it is the user's own retired name or a retired name past its cool-off
+ */
+export const claimUsernameItem = (user, now = new Date().toISOString()) => ({
+  Put: {
+    TableName: USERNAMES_TABLE,
+    Item: usernameEntry(user, now),
+    ConditionExpression: 'attribute_not_exists(usernameKey) OR ' +
+      '(#status = :retired AND (userId = :userId OR expiresAt < :now))',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':retired': 'retired', ':userId': user.userId, ':now': epochSeconds(now) }
+  }
+});
+
+/**
+ * Transaction item that retires a username given up in a rename. The row
+ * keeps only what a redirect needs, so it drops out of autocomplete.
+ * A missing row (profiles from before UsernamesTable) is created.
+ */
+export const retireUsernameItem = (username, userId, now) => ({
+  Put: {
+    TableName: USERNAMES_TABLE,
+    Item: {
+      usernameKey: normaliseUsername(username),
+      username,
+      userId,
+      status: 'retired',
+      retiredAt: now,
+      expiresAt: epochSeconds(now) + USERNAME_COOL_OFF_DAYS * DAY_SECONDS
+    },
+    ConditionExpression: 'attribute_not_exists(usernameKey) OR userId = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  }
+});
+
+/**
+ * Seconds until the user may rename again, or 0 if they may now
+ * `history` is the profile's usernameHistory
+ */
+export const usernameChangeRetryAfter = (history = [], now = new Date().toISOString()) => {
+  const windowStart = epochSeconds(now) - USERNAME_CHANGE_WINDOW_DAYS * DAY_SECONDS;
+  const recent = history
+    .map(change => epochSeconds(change.changedAt))
+    .filter(changedAt => changedAt > windowStart)
+    .sort((a, b) => a - b);
+
+  if (recent.length < MAX_USERNAME_CHANGES) {
+    return 0;
+  }
+
+  // Allowed again once enough of the recent changes leave the window
+  return recent[recent.length - MAX_USERNAME_CHANGES] - windowStart;
+};
+
+/**
+ * Transaction item that releases a user's username. A missing row (profiles
+ * from before UsernamesTable) is fine; a row held by someone else is not touched.
+ */
+export const releaseUsernameItem = (username, userId) => ({
+  Delete: {
+    TableName: USERNAMES_TABLE,
+    Key: { usernameKey: normaliseUsername(username) },
+    ConditionExpression: 'attribute_not_exists(usernameKey) OR userId = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  }
+});
+
+/**
+ * Transaction item that moves a username row (current or retired) to a
+ * profile's new userId. Fails if the row is not held by `fromUserId`.
+ */
+export const transferUsernameItem = (username, fromUserId, toUserId) => ({
+  Update: {
+    TableName: USERNAMES_TABLE,
+    Key: { usernameKey: normaliseUsername(username) },
+    UpdateExpression: 'SET userId = :toUserId',
+    ConditionExpression: 'userId = :fromUserId',
+    ExpressionAttributeValues: { ':fromUserId': fromUserId, ':toUserId': toUserId }
+  }
+});
+
+/**
+ * The row holding a username (any case), or null. Retired rows past their
+ * cool-off are treated as gone.
+ */
+export const findUsername = async (username) => {
+  const result = await documentClient.get({
+    TableName: USERNAMES_TABLE,
+    Key: { usernameKey: normaliseUsername(username) }
+  }).promise();
+
+  const entry = result.Item;
+
+  if (!entry || (entry.status === 'retired' && entry.expiresAt < epochSeconds(new Date()))) {
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Rows whose username or name starts with a prefix, at most `limit` of each
+ */
+export const queryUsernamePrefix = async (prefix, limit) => {
+  const key = normaliseUsername(prefix).replace(/\s+/g, ' ');
+
+  const [byUsername, byName] = await Promise.all([
+    documentClient.query({
+      TableName: USERNAMES_TABLE,
+      IndexName: 'usernamePrefixIndex',
+      KeyConditionExpression: 'usernameInitial = :initial AND begins_with(usernameKey, :prefix)',
+      ExpressionAttributeValues: { ':initial': key[0], ':prefix': key },
+      Limit: limit
+    }).promise(),
+    documentClient.query({
+      TableName: USERNAMES_TABLE,
+      IndexName: 'namePrefixIndex',
+      KeyConditionExpression: 'nameInitial = :initial AND begins_with(nameKey, :prefix)',
+      ExpressionAttributeValues: { ':initial': key[0], ':prefix': key },
+      Limit: limit
+    }).promise()
+  ]);
+
+  return { byUsername: byUsername.Items, byName: byName.Items };
+};
+
+/**
+ * Copy a profile's autocomplete fields onto its username row.
+ * Only updates a row the user still holds, so a late stream record for an
+ * old username cannot bring its row back.
+ */
+export const syncUsernameEntry = async (oldUser, newUser) => {
+  if (!newUser?.username) {
+    return;
+  }
+
+  const fields = displayFields(newUser);
+
+  if (oldUser && oldUser.username === newUser.username &&
+    JSON.stringify(displayFields(oldUser)) === JSON.stringify(fields)) {
+    return;
+  }
+
+  const names = { '#userId': 'userId', '#username': 'username' };
+  const values = { ':userId': newUser.userId, ':username': newUser.username };
+  const sets = ['#username = :username'];
+  const removes = [];
+
+  for (const field of ['fullName', 'avatarUrl', 'profileCompleteness', 'blockedIds', 'nameInitial', 'nameKey']) {
+    names[`#${field}`] = field;
+
+    if (fields[field] === undefined) {
+      removes.push(`#${field}`);
+    } else {
+      sets.push(`#${field} = :${field}`);
+      values[`:${field}`] = fields[field];
+    }
+  }
+
+  try {
+    await documentClient.update({
+      TableName: USERNAMES_TABLE,
+      Key: { usernameKey: normaliseUsername(newUser.username) },
+      UpdateExpression: `SET ${sets.join(', ')}${removes.length ? ` REMOVE ${removes.join(', ')}` : ''}`,
+      ConditionExpression: '#userId = :userId',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Create or refresh a profile's username row, for backfilling profiles from
+ * before UsernamesTable. Returns false when another user holds the name in a
+ * different case - those need a rename.
+ */
+export const backfillUsernameEntry = async (user) => {
+  try {
+    await documentClient.put({
+      TableName: USERNAMES_TABLE,
+      Item: usernameEntry(user, user.createdAt),
+      ConditionExpression: 'attribute_not_exists(usernameKey) OR userId = :userId',
+      ExpressionAttributeValues: { ':userId': user.userId }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};